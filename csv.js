@@ -0,0 +1,108 @@
+/**
+ * FX Risk Exposure Simulator - CSV Parsing
+ *
+ * This module parses delimited text files (rate history, rate snapshots,
+ * exposure extracts) into rows, handling quoted fields and common delimiters.
+ */
+
+/**
+ * Detect the delimiter of a CSV file from its first line
+ * @param {string} text - The CSV text
+ * @returns {string} The most likely delimiter (comma, semicolon or tab)
+ */
+function detectCsvDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    const candidates = [',', ';', '\t'];
+    
+    return candidates.reduce((best, delimiter) => {
+        return firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best;
+    }, ',');
+}
+
+/**
+ * Parse CSV text into an array of rows
+ * @param {string} text - The CSV text
+ * @param {Object} options - Parse options
+ * @param {string} options.delimiter - Field delimiter (detected if omitted)
+ * @returns {Array<Array<string>>} Rows of trimmed field values, without blank lines
+ */
+function parseCsv(text, options = {}) {
+    const delimiter = options.delimiter || detectCsvDelimiter(text);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    // Strip a UTF-8 byte order mark written by spreadsheet tools
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field.trim());
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field.trim());
+        rows.push(row);
+    }
+    
+    return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * @param {string} text - The CSV text
+ * @param {Object} options - Parse options (see parseCsv)
+ * @returns {Object} { headers, records }
+ */
+function parseCsvRecords(text, options = {}) {
+    const [headers = [], ...rows] = parseCsv(text, options);
+    
+    const records = rows.map(row => headers.reduce((record, header, index) => {
+        record[header] = row[index] !== undefined ? row[index] : '';
+        return record;
+    }, {}));
+    
+    return { headers, records };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // For Node.js/CommonJS
+    module.exports = {
+        parseCsv,
+        parseCsvRecords,
+        detectCsvDelimiter
+    };
+} else {
+    // For browser
+    window.FXRES = window.FXRES || {};
+    window.FXRES.csv = {
+        parse: parseCsv,
+        parseRecords: parseCsvRecords,
+        detectDelimiter: detectCsvDelimiter
+    };
+}
@@ -3,11 +3,11 @@
  * 
  * This module handles exporting simulation data to various formats:
  * - PDF reports
- * - Excel/CSV files
+ * - Excel/CSV files, including a multi-sheet workbook of simulation results
  * - JSON data
  */
 
-// Dependencies: html2pdf.js and xlsx libraries are loaded via CDN in the HTML
+// Dependencies: html2pdf.js, xlsx (SheetJS) and ExcelJS libraries are loaded via CDN in the HTML
 
 /**
  * Export the simulation results to a PDF file
@@ -166,9 +166,10 @@ function exportToPdf(element, options = {}) {
                     const pageNumber = `Page ${i} of ${totalPages}`;
                     const pageSize = pdf.internal.pageSize;
                     const pageWidth = pageSize.width ? pageSize.width : pageSize.getWidth();
+                    const pageHeight = pageSize.height ? pageSize.height : pageSize.getHeight();
                     
-                    // Footer
-                    pdf.text(pageNumber, (pageWidth / 2) - (pdf.getTextWidth(pageNumber) / 2), 285);
+                    // Footer, placed from the page height so A4 and Letter both fit
+                    pdf.text(pageNumber, (pageWidth / 2) - (pdf.getTextWidth(pageNumber) / 2), pageHeight - 12);
                     
                     // Add watermark for draft/confidential if needed
                     if (options.watermark) {
@@ -185,7 +186,7 @@ function exportToPdf(element, options = {}) {
                         
                         // Center the watermark on the page
                         const centerX = pageWidth / 2;
-                        const centerY = pageSize.height ? pageSize.height / 2 : 150;
+                        const centerY = pageHeight / 2;
                         
                         // Save the current graphics state
                         pdf.saveGraphicsState();
@@ -299,6 +300,381 @@ function exportToExcel(data, filename = 'fx-risk-data', options = {}) {
     });
 }
 
+// Risk levels in the order they are reported
+const WORKBOOK_RISK_LEVELS = ['Low', 'Medium', 'High', 'Critical'];
+
+/**
+ * Spreadsheet column letter for a zero-based column index (0 -> A, 26 -> AA)
+ */
+function getColumnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Quote a sheet name for use in a formula reference
+ */
+function sheetRef(name) {
+    return `'${name.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Build a formula cell over a column range, or a plain value when the range is empty
+ * @param {string} formula - Formula template; {range} is replaced with the range
+ * @param {string} column - Column letter
+ * @param {number} firstRow - First row of the range
+ * @param {number} lastRow - Last row of the range
+ * @param {number} result - The value the formula evaluates to
+ * @param {string} prefix - Sheet reference for ranges on another sheet
+ */
+function rangeFormula(formula, column, firstRow, lastRow, result, prefix = '') {
+    if (lastRow < firstRow) return result;
+    return { formula: formula.replace(/\{range\}/g, `${prefix}${column}${firstRow}:${column}${lastRow}`), result: result };
+}
+
+/**
+ * Wrap a plain value from rangeFormula so a number format can be added to it
+ */
+function rangeCell(cell) {
+    return cell !== null && typeof cell === 'object' ? cell : { value: cell };
+}
+
+/**
+ * Number format that shows amounts in the base currency
+ * @param {string} currency - The currency code
+ */
+function getCurrencyNumberFormat(currency) {
+    return `#,##0.00 "${currency}";-#,##0.00 "${currency}"`;
+}
+
+/**
+ * Build a workbook description from simulation results, with sheets for the summary,
+ * exposure details, currency breakdown, risk distribution, stress tests and the inputs.
+ * The description is plain data, so it can be built and checked without a DOM or a
+ * spreadsheet library; writeResultsWorkbook turns it into an Excel file.
+ * @param {Object} results - Output of calculateSimulationResults
+ * @param {Object} simulationData - The simulation inputs
+ * @returns {Object} { sheets } where each sheet is { name, columns ({ header, width, numFmt }),
+ *   rows, freezeRows, totalsRow }; a cell is a value, { value, numFmt } or { formula, result, numFmt }
+ */
+function buildResultsWorkbook(results, simulationData = {}) {
+    const base = results.baseCurrency;
+    const money = getCurrencyNumberFormat(base);
+    const exposures = results.exposureDetails || [];
+    const confidence = level => `${+((level || 0.95) * 100).toFixed(2)}%`;
+    
+    // Exposure Details: one row per exposure, totals below
+    const DETAILS = 'Exposure Details';
+    const detailsFirst = 2;
+    const detailsLast = exposures.length + 1;
+    const detailsTotal = detailsLast + 1;
+    const detailsRef = sheetRef(DETAILS) + '!';
+    const grossOf = column => `SUMPRODUCT(ABS(${detailsRef}${column}${detailsFirst}:${column}${detailsLast}))`;
+    
+    const details = {
+        name: DETAILS,
+        freezeRows: 1,
+        totalsRow: true,
+        columns: [
+            { header: 'Currency Pair', width: 14 },
+            { header: 'Direction', width: 12 },
+            { header: 'Legal Entity', width: 18 },
+            { header: 'Settlement', width: 12 },
+            { header: 'Amount', width: 16, numFmt: '#,##0.00' },
+            { header: `Base Equivalent (${base})`, width: 20, numFmt: money },
+            { header: `Net Position (${base})`, width: 20, numFmt: money },
+            { header: 'Hedge Ratio', width: 12, numFmt: '0%' },
+            { header: `Residual (${base})`, width: 20, numFmt: money },
+            { header: `Hedge Cost (${base})`, width: 18, numFmt: money },
+            { header: 'Volatility', width: 11, numFmt: '0.0%' },
+            { header: 'Risk Score', width: 11 },
+            { header: 'Risk Level', width: 11 }
+        ],
+        rows: exposures.map(exp => [
+            exp.currencyPair,
+            exp.direction || 'receivable',
+            exp.entity || '',
+            exp.cashFlows && exp.cashFlows[0] && exp.cashFlows[0].date ? exp.cashFlows[0].date : '',
+            exp.amount,
+            exp.baseEquivalent,
+            exp.position !== undefined ? exp.position : exp.baseEquivalent,
+            exp.hedgeRatio,
+            exp.residualBaseEquivalent,
+            exp.hedgeCost || 0,
+            exp.volatility,
+            exp.riskScore,
+            exp.riskLevel
+        ])
+    };
+    details.rows.push([
+        'Total', '', '', '', '',
+        rangeFormula('SUM({range})', 'F', detailsFirst, detailsLast, exposures.reduce((sum, exp) => sum + exp.baseEquivalent, 0)),
+        rangeFormula('SUM({range})', 'G', detailsFirst, detailsLast, results.netExposure !== undefined ? results.netExposure : 0),
+        exposures.length > 0
+            ? { formula: `IF(${grossOf('F')}=0,0,1-${grossOf('I')}/${grossOf('F')})`, result: results.totalExposure ? results.hedgedExposure / results.totalExposure : 0 }
+            : 0,
+        rangeFormula('SUM({range})', 'I', detailsFirst, detailsLast, exposures.reduce((sum, exp) => sum + exp.residualBaseEquivalent, 0)),
+        rangeFormula('SUM({range})', 'J', detailsFirst, detailsLast, results.hedgeCost || 0),
+        '', '', ''
+    ]);
+    
+    // Summary: headline figures, totals as formulas over the Exposure Details sheet
+    const summaryRows = [];
+    const summaryRow = (label, cell) => {
+        summaryRows.push([label, cell]);
+        return summaryRows.length + 1;
+    };
+    const hasExposures = exposures.length > 0;
+    summaryRow('Simulation', results.simulationName);
+    summaryRow('Base Currency', base);
+    summaryRow('Valuation Date', results.valuationDate || '');
+    summaryRow('Rates As Of', results.ratesAsOf || '');
+    const grossRow = summaryRow('Total Exposure (gross)', hasExposures
+        ? { formula: grossOf('F'), result: results.totalExposure, numFmt: money }
+        : { value: 0, numFmt: money });
+    summaryRow('Net Exposure', { ...rangeCell(rangeFormula('SUM({range})', 'G', detailsFirst, detailsLast, results.netExposure || 0, detailsRef)), numFmt: money });
+    const residualRow = summaryRow('Residual Exposure', hasExposures
+        ? { formula: grossOf('I'), result: results.unhedgedExposure, numFmt: money }
+        : { value: 0, numFmt: money });
+    const hedgedRow = summaryRow('Hedged Exposure', { formula: `B${grossRow}-B${residualRow}`, result: results.hedgedExposure, numFmt: money });
+    summaryRow('Hedge Ratio', { formula: `IF(B${grossRow}=0,0,B${hedgedRow}/B${grossRow})`, result: results.totalExposure ? results.hedgedExposure / results.totalExposure : 0, numFmt: '0.0%' });
+    summaryRow('Hedge Cost', { formula: `${detailsRef}J${detailsTotal}`, result: results.hedgeCost || 0, numFmt: money });
+    const varRow = summaryRow(`Value at Risk (${confidence(results.confidenceLevel)}, ${results.varMethod})`, { value: results.varValue, numFmt: money });
+    (results.varByConfidence || []).filter(item => item.confidenceLevel !== results.confidenceLevel).forEach(item => {
+        summaryRow(`Value at Risk (${confidence(item.confidenceLevel)}, ${results.varMethod})`, { value: item.varValue, numFmt: money });
+    });
+    const parametricRow = summaryRow('Parametric VaR', { value: results.parametricVaR, numFmt: money });
+    const undiversifiedRow = summaryRow('Undiversified VaR', { value: results.undiversifiedVaR, numFmt: money });
+    summaryRow('Diversification Benefit', { formula: `B${undiversifiedRow}-B${parametricRow}`, result: results.diversificationBenefit, numFmt: money });
+    summaryRow('VaR as % of Gross Exposure', { formula: `IF(B${grossRow}=0,0,B${varRow}/B${grossRow})`, result: results.totalExposure ? results.varValue / results.totalExposure : 0, numFmt: '0.00%' });
+    summaryRow('Time Horizon (days)', results.timeHorizon);
+    summaryRow('High-Risk Exposures', { ...rangeCell(rangeFormula('COUNTIF({range},">=5")', 'L', detailsFirst, detailsLast, results.highRiskExposureCount || 0, detailsRef)) });
+    summaryRow('Warnings', (results.warnings || []).map(w => w.message).join(' ') || 'None');
+    
+    const summary = {
+        name: 'Summary',
+        freezeRows: 1,
+        columns: [{ header: 'Metric', width: 30 }, { header: 'Value', width: 28 }],
+        rows: summaryRows
+    };
+    
+    // Currency Breakdown: long, short and net positions per currency
+    const currencies = results.currencyExposures || [];
+    const breakdownLast = currencies.length + 1;
+    const breakdownTotal = breakdownLast + 1;
+    const breakdown = {
+        name: 'Currency Breakdown',
+        freezeRows: 1,
+        totalsRow: true,
+        columns: [
+            { header: 'Currency', width: 10 },
+            { header: `Long (${base})`, width: 18, numFmt: money },
+            { header: `Short (${base})`, width: 18, numFmt: money },
+            { header: `Gross (${base})`, width: 18, numFmt: money },
+            { header: `Net (${base})`, width: 18, numFmt: money },
+            { header: `Residual (${base})`, width: 18, numFmt: money },
+            { header: 'Share of Gross', width: 14, numFmt: '0.0%' }
+        ],
+        rows: currencies.map((item, index) => {
+            const gross = currencies.reduce((sum, c) => sum + c.gross, 0);
+            return [
+                item.currency, item.long, item.short, item.gross, item.amount, item.residual,
+                { formula: `IF($D$${breakdownTotal}=0,0,D${index + 2}/$D$${breakdownTotal})`, result: gross ? item.gross / gross : 0 }
+            ];
+        })
+    };
+    breakdown.rows.push(['Total', ...['B', 'C', 'D', 'E', 'F'].map((column, i) => rangeFormula('SUM({range})', column, 2, breakdownLast,
+        currencies.reduce((sum, item) => sum + [item.long, item.short, item.gross, item.amount, item.residual][i], 0))),
+        rangeFormula('SUM({range})', 'G', 2, breakdownLast, currencies.length > 0 ? 1 : 0)]);
+    
+    // Risk Distribution: exposures per risk level, counted from the Exposure Details sheet
+    const distributionTotal = WORKBOOK_RISK_LEVELS.length + 2;
+    const distribution = {
+        name: 'Risk Distribution',
+        freezeRows: 1,
+        totalsRow: true,
+        columns: [
+            { header: 'Risk Level', width: 14 },
+            { header: 'Exposures', width: 12 },
+            { header: 'Share', width: 10, numFmt: '0.0%' }
+        ],
+        rows: WORKBOOK_RISK_LEVELS.map((level, index) => {
+            const count = (results.riskDistribution || {})[level] || 0;
+            return [
+                level,
+                rangeFormula(`COUNTIF({range},"${level}")`, 'M', detailsFirst, detailsLast, count, detailsRef),
+                { formula: `IF($B$${distributionTotal}=0,0,B${index + 2}/$B$${distributionTotal})`, result: exposures.length ? count / exposures.length : 0 }
+            ];
+        })
+    };
+    distribution.rows.push(['Total',
+        { formula: `SUM(B2:B${distributionTotal - 1})`, result: exposures.length },
+        { formula: `SUM(C2:C${distributionTotal - 1})`, result: exposures.length ? 1 : 0 }]);
+    
+    // Stress Tests: impact per scenario and exposure, totals as row sums
+    const reverseTests = results.reverseStressTest ? results.reverseStressTest.stressTests : [];
+    const tests = [...(results.stressTests || []), ...reverseTests];
+    const lastImpactColumn = getColumnLetter(2 + exposures.length - 1);
+    const stress = {
+        name: 'Stress Tests',
+        freezeRows: 1,
+        columns: [
+            { header: 'Scenario', width: 28 },
+            { header: 'Description', width: 40 },
+            ...exposures.map(exp => ({ header: exp.entity ? `${exp.currencyPair} (${exp.entity})` : exp.currencyPair, width: 16, numFmt: money })),
+            { header: `Hedge Offset (${base})`, width: 18, numFmt: money },
+            { header: `Total Impact (${base})`, width: 18, numFmt: money },
+            { header: '% of Gross Exposure', width: 14, numFmt: '0.0%' }
+        ],
+        rows: tests.map((test, index) => {
+            const row = index + 2;
+            const totalColumn = getColumnLetter(2 + exposures.length + 1);
+            return [
+                test.name,
+                test.description || '',
+                ...test.exposureImpacts.map(impact => impact.impact),
+                test.exposureImpacts.reduce((sum, impact) => sum + impact.hedgeImpact, 0),
+                exposures.length > 0 ? { formula: `SUM(C${row}:${lastImpactColumn}${row})`, result: test.totalImpact } : test.totalImpact,
+                { formula: `IF(Summary!$B$${grossRow}=0,0,${totalColumn}${row}/Summary!$B$${grossRow})`, result: results.totalExposure ? test.totalImpact / results.totalExposure : 0 }
+            ];
+        })
+    };
+    if (tests.length === 0) {
+        stress.rows.push(['Stress tests were not included in this simulation']);
+    }
+    
+    // Inputs & Assumptions: what the figures were calculated from
+    const inputs = {
+        name: 'Inputs & Assumptions',
+        freezeRows: 1,
+        columns: [{ header: 'Input', width: 30 }, { header: 'Value', width: 24 }, { header: 'Detail', width: 48 }],
+        rows: [
+            ['Simulation', results.simulationName, ''],
+            ['Base Currency', base, ''],
+            ['Risk Appetite', results.riskAppetite, '1 (very low) to 5 (very high)'],
+            ['Time Horizon (days)', results.timeHorizon, 'VaR scaled by the square root of time over 252 trading days'],
+            ['VaR Method', results.varMethod, simulationData.varMethod && simulationData.varMethod !== results.varMethod ? `${simulationData.varMethod} requested; not enough rate history` : ''],
+            ['VaR Confidence Level', confidence(results.confidenceLevel), 'One-sided; the headline VaR'],
+            ['Reported Confidence Levels', (results.varByConfidence || []).map(item => confidence(item.confidenceLevel)).join(', '), ''],
+            ['Historical Lookback (days)', simulationData.historicalLookbackDays || '', ''],
+            ['Monte Carlo Paths', simulationData.monteCarloPaths || '', ''],
+            ['Monte Carlo Seed', simulationData.monteCarloSeed !== undefined ? simulationData.monteCarloSeed : '', ''],
+            ['Rate Snapshot', results.rateSnapshotId || 'Latest', results.ratesAsOf ? `Rates as of ${results.ratesAsOf}` : ''],
+            ['Valuation Date', results.valuationDate || '', 'Hedge instruments are valued at this date'],
+            ['Stress Tests', simulationData.includeStressTests === false ? 'Excluded' : 'Included', ''],
+            ['Reverse Stress Loss Limit', simulationData.reverseStressLoss ? { value: Number(simulationData.reverseStressLoss), numFmt: money } : '', ''],
+            ['Notes', simulationData.notes || '', ''],
+            [],
+            ['Exposure Volatilities', '', ''],
+            ...exposures.map(exp => [exp.currencyPair, { value: exp.volatility, numFmt: '0.0%' },
+                exp.volatilityDetail || `Volatility factor ${exp.volatilityFactor}`]),
+            [],
+            ['Correlation Overrides', '', ''],
+            ...Object.keys(results.correlationOverrides || {}).map(pair => [pair, results.correlationOverrides[pair], 'Overrides the default correlation']),
+            [],
+            ['Stress Scenario Shocks', '', ''],
+            ...(results.stressTests || []).flatMap(test => Object.keys(test.shocks || {}).map(currency =>
+                [test.name, currency, { value: test.shocks[currency], numFmt: '0.0%' }]))
+        ]
+    };
+    
+    return { sheets: [summary, details, breakdown, distribution, stress, inputs] };
+}
+
+/**
+ * Turn a workbook description from buildResultsWorkbook into an ExcelJS workbook, with
+ * bold headers and totals, frozen header rows, column widths and number formats
+ * @param {Object} description - The workbook description
+ * @param {Object} ExcelJSLib - The ExcelJS library (defaults to the global ExcelJS)
+ * @returns {Object} The ExcelJS workbook
+ */
+function writeResultsWorkbook(description, ExcelJSLib = typeof ExcelJS !== 'undefined' ? ExcelJS : null) {
+    if (!ExcelJSLib) {
+        throw new Error('ExcelJS library is not loaded');
+    }
+    
+    const workbook = new ExcelJSLib.Workbook();
+    workbook.creator = 'FXRES';
+    workbook.created = new Date();
+    
+    description.sheets.forEach(sheet => {
+        const worksheet = workbook.addWorksheet(sheet.name, {
+            views: [{ state: 'frozen', ySplit: sheet.freezeRows || 0 }]
+        });
+        worksheet.columns = sheet.columns.map(column => ({
+            header: column.header,
+            width: column.width,
+            style: column.numFmt ? { numFmt: column.numFmt } : {}
+        }));
+        worksheet.getRow(1).font = { bold: true };
+        
+        sheet.rows.forEach(row => {
+            const added = worksheet.addRow(row.map(cell => {
+                if (cell === null || typeof cell !== 'object') return cell;
+                return cell.formula ? { formula: cell.formula, result: cell.result } : cell.value;
+            }));
+            row.forEach((cell, index) => {
+                if (cell && typeof cell === 'object' && cell.numFmt) {
+                    added.getCell(index + 1).numFmt = cell.numFmt;
+                }
+            });
+        });
+        
+        if (sheet.totalsRow && sheet.rows.length > 0) {
+            worksheet.getRow(sheet.rows.length + 1).font = { bold: true };
+        }
+    });
+    
+    return workbook;
+}
+
+/**
+ * Export simulation results as a multi-sheet Excel workbook
+ * @param {Object} results - Output of calculateSimulationResults
+ * @param {Object} simulationData - The simulation inputs
+ * @param {string} filename - The name of the file (without extension)
+ * @param {Object} options - Export options ({ onProgress })
+ * @returns {Promise} A promise that resolves when the export is complete
+ */
+function exportResultsToExcel(results, simulationData = {}, filename = 'fx-risk-results', options = {}) {
+    const onProgress = typeof options.onProgress === 'function' ? options.onProgress : () => {};
+    
+    try {
+        onProgress('Preparing Excel workbook...', 0.3);
+        const workbook = writeResultsWorkbook(buildResultsWorkbook(results, simulationData));
+        
+        onProgress('Generating file...', 0.8);
+        return workbook.xlsx.writeBuffer().then(buffer => {
+            const blob = new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            
+            a.href = url;
+            a.download = `${filename.replace(/\.xlsx$/i, '')}_${timestamp}.xlsx`;
+            document.body.appendChild(a);
+            a.click();
+            
+            setTimeout(() => {
+                document.body.removeChild(a);
+                URL.revokeObjectURL(url);
+            }, 100);
+            onProgress('Export completed!', 1.0);
+        }).catch(error => {
+            console.error('Error exporting results to Excel:', error);
+            onProgress('Error exporting to Excel', -1);
+            throw error;
+        });
+    } catch (error) {
+        console.error('Error exporting results to Excel:', error);
+        onProgress('Error exporting to Excel', -1);
+        return Promise.reject(error);
+    }
+}
+
 /**
  * Export the simulation data to a CSV file
  * @param {Array} data - The data to export
@@ -383,14 +759,24 @@ function exportToJson(data, filename = 'fx-risk-data', options = {}) {
     });
 }
 
-// Export the functions
-const FXRES = window.FXRES || {};
-FXRES.export = {
-    toPdf: exportToPdf,
-    toExcel: exportToExcel,
-    toCsv: exportToCsv,
-    toJson: exportToJson
-};
-
-// Make the export functions available globally
-window.FXRES = FXRES;
\ No newline at end of file
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // For Node.js/CommonJS
+    module.exports = {
+        buildResultsWorkbook,
+        writeResultsWorkbook,
+        getColumnLetter
+    };
+} else {
+    // For browser (state.js declares the global FXRES, so extend window.FXRES
+    // rather than declaring it again)
+    window.FXRES = window.FXRES || {};
+    window.FXRES.export = {
+        toPdf: exportToPdf,
+        toExcel: exportToExcel,
+        toCsv: exportToCsv,
+        toJson: exportToJson,
+        buildResultsWorkbook: buildResultsWorkbook,
+        resultsToExcel: exportResultsToExcel
+    };
+}
\ No newline at end of file
@@ -0,0 +1,337 @@
+/**
+ * FX Risk Exposure Simulator - Exposure Import
+ *
+ * This module imports exposures in bulk from CSV and XLSX extracts, including:
+ * - Reading CSV files and the first sheet of XLSX workbooks (via SheetJS)
+ * - Mapping file columns to exposure fields, remembering mappings used before
+ * - Validating rows (currency codes, amounts, flags) with row-level errors
+ * - Adding the valid rows to the active simulation, updating exposures that were
+ *   imported before with the same external key instead of duplicating them
+ */
+
+const EXPOSURE_IMPORT_MAPPINGS_STORAGE_KEY = 'fxresExposureImportMappings';
+
+// Exposure fields a column can be mapped to, with header names recognized by default
+const EXPOSURE_IMPORT_FIELDS = [
+    { field: 'externalId', label: 'External Key', aliases: ['external id', 'external key', 'id', 'reference', 'ref', 'document', 'invoice'] },
+    { field: 'from', label: 'From Currency', required: true, aliases: ['from', 'from currency', 'currency', 'ccy', 'transaction currency'] },
+    { field: 'to', label: 'To Currency', aliases: ['to', 'to currency', 'functional currency', 'settlement currency'] },
+    { field: 'amount', label: 'Amount', required: true, aliases: ['amount', 'exposure', 'notional', 'value'] },
+    { field: 'isHedged', label: 'Hedged', aliases: ['hedged', 'is hedged', 'ishedged'] },
+    { field: 'volatilityFactor', label: 'Volatility Factor', aliases: ['volatility', 'volatility factor', 'volatilityfactor'] },
+    { field: 'direction', label: 'Direction', aliases: ['direction', 'type', 'side'] },
+    { field: 'settlementDate', label: 'Settlement Date', aliases: ['settlement date', 'due date', 'value date', 'date'] },
+    { field: 'entity', label: 'Legal Entity', aliases: ['entity', 'legal entity', 'company', 'company code'] },
+    { field: 'notes', label: 'Notes', aliases: ['notes', 'note', 'description', 'comment'] }
+];
+
+const IMPORT_TRUE_VALUES = ['true', 'yes', 'y', '1', 'hedged', 'x'];
+const IMPORT_FALSE_VALUES = ['false', 'no', 'n', '0', 'unhedged', ''];
+
+/**
+ * Read an import file into a header row and data rows. CSV files are parsed as
+ * text; XLSX and XLS files are read from their first sheet.
+ * @param {File} file - The selected file
+ * @returns {Promise<Object>} { headers, rows }
+ */
+function readExposureImportFile(file) {
+    const isWorkbook = /\.(xlsx|xls)$/i.test(file.name);
+    
+    if (isWorkbook && typeof XLSX === 'undefined') {
+        return Promise.reject(new Error('SheetJS library (xlsx) is not loaded'));
+    }
+    
+    return (isWorkbook ? file.arrayBuffer() : file.text()).then(content => {
+        let table;
+        if (isWorkbook) {
+            const workbook = XLSX.read(content, { type: 'array', cellDates: true });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            table = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' })
+                .map(row => row.map(value => String(value).trim()))
+                .filter(row => row.some(value => value !== ''));
+        } else {
+            table = FXRES.csv.parse(content);
+        }
+        
+        const [headers = [], ...rows] = table;
+        if (headers.length === 0) {
+            throw new Error('The file has no header row');
+        }
+        return { headers, rows };
+    });
+}
+
+/**
+ * Key a set of headers so a mapping can be recalled for files with the same layout
+ */
+function getHeaderSignature(headers) {
+    return headers.map(h => h.trim().toLowerCase()).sort().join('|');
+}
+
+/**
+ * Load the saved mappings, keyed by header signature
+ */
+function getSavedImportMappings() {
+    try {
+        const saved = localStorage.getItem(EXPOSURE_IMPORT_MAPPINGS_STORAGE_KEY);
+        return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+        console.error('Error loading import mappings:', error);
+        return {};
+    }
+}
+
+/**
+ * Suggest a column mapping for a file: the mapping saved for the same headers,
+ * otherwise each field's column from earlier mappings or recognized header names
+ * @param {Array<string>} headers - The file's header row
+ * @returns {Object} Column index per field (fields without a column are left out)
+ */
+function suggestImportMapping(headers) {
+    const saved = getSavedImportMappings();
+    const exact = saved[getHeaderSignature(headers)];
+    if (exact) {
+        return exact.mapping.reduce((mapping, field, index) => {
+            if (field && index < headers.length) mapping[field] = index;
+            return mapping;
+        }, {});
+    }
+    
+    // Columns mapped before in other layouts, by header name
+    const previous = {};
+    Object.values(saved).forEach(entry => {
+        entry.headers.forEach((header, index) => {
+            if (entry.mapping[index]) previous[header.trim().toLowerCase()] = entry.mapping[index];
+        });
+    });
+    
+    const mapping = {};
+    const normalized = headers.map(h => h.trim().toLowerCase());
+    EXPOSURE_IMPORT_FIELDS.forEach(({ field, aliases }) => {
+        let index = normalized.findIndex(header => previous[header] === field);
+        if (index === -1) {
+            index = normalized.findIndex(header => aliases.includes(header));
+        }
+        if (index !== -1 && !Object.values(mapping).includes(index)) {
+            mapping[field] = index;
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Remember a column mapping for files with the same headers
+ * @param {Array<string>} headers - The file's header row
+ * @param {Object} mapping - Column index per field
+ * @returns {boolean} Whether the mapping was saved
+ */
+function saveImportMapping(headers, mapping) {
+    const columns = headers.map((header, index) =>
+        Object.keys(mapping).find(field => mapping[field] === index) || null);
+    
+    try {
+        const saved = getSavedImportMappings();
+        saved[getHeaderSignature(headers)] = { headers: headers, mapping: columns, lastUsed: new Date().toISOString() };
+        localStorage.setItem(EXPOSURE_IMPORT_MAPPINGS_STORAGE_KEY, JSON.stringify(saved));
+        return true;
+    } catch (error) {
+        console.error('Error saving import mapping:', error);
+        return false;
+    }
+}
+
+/**
+ * Parse an amount, accepting thousands separators and a trailing or leading minus
+ * @returns {number|null} The amount, or null when the value is not numeric
+ */
+function parseImportAmount(value) {
+    let text = String(value).replace(/\s/g, '');
+    if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+        text = text.replace(/,/g, '');
+    }
+    if (/^\d+(\.\d+)?-$/.test(text)) {
+        text = `-${text.slice(0, -1)}`;
+    }
+    if (!/^-?(\d+(\.\d*)?|\.\d+)$/.test(text)) {
+        return null;
+    }
+    return parseFloat(text);
+}
+
+/**
+ * Parse a settlement date as YYYY-MM-DD, also accepting DD/MM/YYYY and DD.MM.YYYY
+ * @returns {string|null} The ISO date, or null when the value is not a date
+ */
+function parseImportDate(value) {
+    const text = String(value).trim();
+    const dayFirst = text.match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/);
+    const iso = dayFirst
+        ? `${dayFirst[3]}-${dayFirst[2].padStart(2, '0')}-${dayFirst[1].padStart(2, '0')}`
+        : text.slice(0, 10);
+    
+    return /^\d{4}-\d{2}-\d{2}$/.test(iso) && !isNaN(new Date(iso)) ? iso : null;
+}
+
+/**
+ * Validate the data rows of an import file against a column mapping
+ * @param {Array<Array<string>>} rows - Data rows (without the header row)
+ * @param {Object} mapping - Column index per field
+ * @param {Object} options - Validation options
+ * @param {string} options.defaultToCurrency - Currency used when no "to" column is mapped
+ * @returns {Array} Per row: { rowNumber, exposure, errors }; rowNumber counts the header as row 1
+ */
+function validateExposureImport(rows, mapping, options = {}) {
+    const currencies = FXRES.state.CURRENCIES;
+    const defaultToCurrency = options.defaultToCurrency || 'USD';
+    const seenKeys = {};
+    
+    const missingFields = EXPOSURE_IMPORT_FIELDS
+        .filter(f => f.required && mapping[f.field] === undefined)
+        .map(f => f.label);
+    
+    return rows.map((row, index) => {
+        const rowNumber = index + 2;
+        const errors = missingFields.map(label => `No column is mapped to ${label}`);
+        const value = field => (mapping[field] !== undefined ? String(row[mapping[field]] || '').trim() : '');
+        const has = field => mapping[field] !== undefined;
+        const exposure = {};
+        
+        const from = value('from').toUpperCase();
+        const to = has('to') ? value('to').toUpperCase() : defaultToCurrency;
+        if (has('from') && !currencies.includes(from)) {
+            errors.push(from ? `Unknown currency "${from}"` : 'From currency is empty');
+        }
+        if (!currencies.includes(to)) {
+            errors.push(to ? `Unknown currency "${to}"` : 'To currency is empty');
+        }
+        if (from && from === to) {
+            errors.push(`From and to currency are both ${from}`);
+        }
+        exposure.currencyPair = { from: from, to: to };
+        
+        // Negative amounts are payables unless a direction column says otherwise
+        const amount = parseImportAmount(value('amount'));
+        if (has('amount') && amount === null) {
+            errors.push(value('amount') ? `Amount "${value('amount')}" is not a number` : 'Amount is empty');
+        }
+        exposure.amount = String(Math.abs(amount || 0));
+        
+        if (has('direction') && value('direction')) {
+            const direction = value('direction').toLowerCase();
+            if (['receivable', 'receive', 'ar', 'long', 'in'].includes(direction)) {
+                exposure.direction = 'receivable';
+            } else if (['payable', 'pay', 'ap', 'short', 'out'].includes(direction)) {
+                exposure.direction = 'payable';
+            } else {
+                errors.push(`Direction "${value('direction')}" is not receivable or payable`);
+            }
+        } else {
+            exposure.direction = amount < 0 ? 'payable' : 'receivable';
+        }
+        
+        if (has('isHedged')) {
+            const hedged = value('isHedged').toLowerCase();
+            if (IMPORT_TRUE_VALUES.includes(hedged)) {
+                exposure.hedgeRatio = 1;
+            } else if (IMPORT_FALSE_VALUES.includes(hedged)) {
+                exposure.hedgeRatio = 0;
+            } else {
+                errors.push(`Hedged "${value('isHedged')}" is not yes or no`);
+            }
+        }
+        
+        if (has('volatilityFactor') && value('volatilityFactor')) {
+            const factor = Number(value('volatilityFactor'));
+            if (Number.isInteger(factor) && factor >= 1 && factor <= 5) {
+                exposure.volatilityFactor = factor;
+            } else {
+                errors.push(`Volatility factor "${value('volatilityFactor')}" is not a whole number from 1 to 5`);
+            }
+        }
+        
+        if (has('settlementDate') && value('settlementDate')) {
+            const date = parseImportDate(value('settlementDate'));
+            if (date) {
+                exposure.settlementDate = date;
+            } else {
+                errors.push(`Settlement date "${value('settlementDate')}" is not a date`);
+            }
+        }
+        
+        if (has('entity')) exposure.entity = value('entity');
+        if (has('notes')) exposure.notes = value('notes');
+        
+        if (has('externalId') && value('externalId')) {
+            const key = value('externalId');
+            if (seenKeys[key]) {
+                errors.push(`External key "${key}" is repeated from row ${seenKeys[key]}`);
+            }
+            seenKeys[key] = rowNumber;
+            exposure.externalId = key;
+        }
+        
+        return { rowNumber, exposure, errors };
+    });
+}
+
+/**
+ * Commit validated rows to the active simulation. Rows with errors are skipped;
+ * an exposure with the same external key as an existing one updates it. The rows
+ * are applied in memory and saved once, as a single version.
+ * @param {Array} validatedRows - Rows from validateExposureImport
+ * @returns {Object} { added, updated, skipped }
+ */
+function applyExposureImport(validatedRows) {
+    const result = { added: 0, updated: 0, skipped: 0 };
+    const simulation = FXRES.state.getSimulationData();
+    const exposures = [...simulation.exposures];
+    
+    validatedRows.forEach(({ exposure, errors }) => {
+        if (errors.length > 0) {
+            result.skipped++;
+            return;
+        }
+        
+        const existingIndex = exposure.externalId
+            ? exposures.findIndex(e => e.externalId === exposure.externalId)
+            : -1;
+        if (existingIndex !== -1) {
+            exposures[existingIndex] = { ...exposures[existingIndex], ...exposure };
+            result.updated++;
+        } else {
+            exposures.push({ ...FXRES.state.DEFAULT_EXPOSURE, ...exposure, id: FXRES.state.generateId() });
+            result.added++;
+        }
+    });
+    
+    const imported = result.added + result.updated;
+    if (imported > 0) {
+        FXRES.state.saveSimulationData({ ...simulation, exposures }, {
+            comment: `Imported ${imported} row${imported === 1 ? '' : 's'}`
+        });
+    }
+    return result;
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // For Node.js/CommonJS
+    module.exports = {
+        suggestImportMapping,
+        validateExposureImport,
+        parseImportAmount,
+        parseImportDate,
+        EXPOSURE_IMPORT_FIELDS
+    };
+} else {
+    // For browser
+    window.FXRES = window.FXRES || {};
+    window.FXRES.exposureImport = {
+        FIELDS: EXPOSURE_IMPORT_FIELDS,
+        readFile: readExposureImportFile,
+        suggestMapping: suggestImportMapping,
+        saveMapping: saveImportMapping,
+        validate: validateExposureImport,
+        apply: applyExposureImport
+    };
+}
@@ -0,0 +1,118 @@
+/**
+ * FX Risk Exposure Simulator - Market Data Stand-in Server
+ *
+ * A local server that answers like a market data API, so the HTTP provider in
+ * marketdata.js can be tested without a network. It serves data/market-data.json
+ * and has no dependencies beyond Node.js.
+ *
+ * Usage:
+ *   node fixtures/market-data-server.js [port]
+ *
+ * Environment:
+ *   PORT              - Port to listen on (default 8787)
+ *   MARKET_DATA_TOKEN - Expected bearer token (default "test-token")
+ *
+ * Endpoints:
+ *   GET /api/market-data[?base=EUR] - Rates and volatilities; requires "Authorization: Bearer <token>"
+ *   GET /health                     - Liveness check
+ *
+ * Configure the HTTP provider with endpoint http://localhost:8787/api/market-data,
+ * auth header "Authorization" and value "Bearer test-token".
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_TOKEN = 'test-token';
+const DATA_FILE = path.join(__dirname, '..', 'data', 'market-data.json');
+
+/**
+ * Send a JSON response with CORS headers so the app can call the server from another origin
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization, Accept, Content-Type, X-Api-Key',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS'
+    });
+    res.end(body === null ? '' : JSON.stringify(body));
+}
+
+/**
+ * Re-quote USD-based market data in another base currency
+ */
+function rebaseMarketData(data, base) {
+    if (base === 'USD') return data;
+    
+    const baseRate = data.rates[base];
+    if (!baseRate) return null;
+    
+    const rates = { USD: 1 / baseRate };
+    Object.keys(data.rates).forEach(currency => {
+        if (currency !== base) {
+            rates[currency] = data.rates[currency] / baseRate;
+        }
+    });
+    return { ...data, base, rates };
+}
+
+/**
+ * Create the stand-in server
+ * @param {Object} options - Server options
+ * @param {string} options.token - Expected bearer token
+ * @param {Object} options.data - Market data to serve (defaults to data/market-data.json)
+ * @returns {http.Server} The server (not yet listening)
+ */
+function createMarketDataServer(options = {}) {
+    const token = options.token || DEFAULT_TOKEN;
+    
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204, null);
+            return;
+        }
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+        if (url.pathname === '/health') {
+            sendJson(res, 200, { status: 'ok' });
+            return;
+        }
+        if (url.pathname !== '/api/market-data') {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+        if (req.headers.authorization !== `Bearer ${token}`) {
+            sendJson(res, 401, { error: 'Missing or invalid authorization token' });
+            return;
+        }
+        
+        const data = options.data || JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        const base = (url.searchParams.get('base') || 'USD').toUpperCase();
+        const rebased = rebaseMarketData(data, base);
+        
+        if (!rebased) {
+            sendJson(res, 400, { error: `Unknown base currency: ${base}` });
+            return;
+        }
+        sendJson(res, 200, rebased);
+    });
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT, 10) || DEFAULT_PORT;
+    const token = process.env.MARKET_DATA_TOKEN || DEFAULT_TOKEN;
+    
+    createMarketDataServer({ token }).listen(port, () => {
+        console.log(`Market data stand-in server listening on http://localhost:${port}/api/market-data`);
+        console.log(`Send "Authorization: Bearer ${token}"`);
+    });
+}
+
+module.exports = { createMarketDataServer };
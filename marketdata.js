@@ -0,0 +1,291 @@
+/**
+ * FX Risk Exposure Simulator - Market Data Providers
+ *
+ * This module defines the provider interface the simulation uses to pull spot rates
+ * and volatilities from a rate source, including:
+ * - A static JSON provider (a JSON file hosted with the app)
+ * - An HTTP provider with a configurable endpoint and authentication header
+ * - Normalizing provider responses to the units used by the simulation engine
+ * - Storing the provider configuration and saving fetched rates as a rate snapshot
+ *
+ * A provider is an object { type, name, fetchMarketData() } whose fetchMarketData()
+ * resolves to { asOf, source, rates, volatilities }, with rates in USD per unit of
+ * currency (like EXCHANGE_RATES in simulation.js) and annualized volatilities keyed
+ * by "AAA/BBB". Requests to the shipped data file and to the configured provider go
+ * through sw.js, which answers with the last cached response when the network is
+ * unavailable. Responses are cached by URL, including those to requests sent with an
+ * auth header, so rates fetched with credentials stay readable offline on this device.
+ */
+
+const MARKET_DATA_CONFIG_STORAGE_KEY = 'fxresMarketDataProvider';
+const DEFAULT_STATIC_MARKET_DATA_URL = 'data/market-data.json';
+
+// Default provider configuration: rates are entered by hand on the Market Data page
+const DEFAULT_MARKET_DATA_CONFIG = {
+    type: 'manual',
+    url: DEFAULT_STATIC_MARKET_DATA_URL,
+    endpoint: '',
+    authHeader: 'Authorization',
+    authValue: ''
+};
+
+// Registered provider types, keyed by type
+const MARKET_DATA_PROVIDERS = {};
+
+/**
+ * Register a market data provider type
+ * @param {string} type - The provider type stored in the configuration
+ * @param {string} name - Display name
+ * @param {Function} create - Creates a provider from a configuration
+ */
+function registerMarketDataProvider(type, name, create) {
+    MARKET_DATA_PROVIDERS[type] = { type, name, create };
+}
+
+/**
+ * Normalize a provider response. Rates are quoted as the price of one unit of each
+ * currency in the response's base currency (USD unless "base" is given) and are
+ * converted to USD per unit. Volatilities are annualized, as decimals or percentages;
+ * a plain currency key ("EUR") is read as the pair against USD.
+ * @param {Object} data - The raw response ({ asOf, base, rates, volatilities })
+ * @param {string} source - The provider type, recorded on the result
+ * @returns {Object} Market data ({ asOf, source, rates, volatilities })
+ */
+function normalizeMarketData(data, source) {
+    if (!data || typeof data !== 'object' || !data.rates || typeof data.rates !== 'object') {
+        throw new Error('Market data response has no rates');
+    }
+    
+    const base = String(data.base || 'USD').toUpperCase();
+    const quotes = { [base]: 1 };
+    Object.keys(data.rates).forEach(currency => {
+        const value = parseFloat(data.rates[currency]);
+        if (value > 0) {
+            quotes[currency.trim().toUpperCase()] = value;
+        }
+    });
+    
+    if (!quotes.USD) {
+        throw new Error(`Market data quoted in ${base} has no USD rate to convert with`);
+    }
+    
+    const rates = {};
+    Object.keys(quotes).forEach(currency => {
+        rates[currency] = quotes[currency] / quotes.USD;
+    });
+    
+    const volatilities = {};
+    Object.keys(data.volatilities || {}).forEach(key => {
+        const value = parseFloat(data.volatilities[key]);
+        const pair = key.trim().toUpperCase();
+        if (value > 0) {
+            volatilities[pair.includes('/') ? pair : `${pair}/USD`] = value > 1 ? value / 100 : value;
+        }
+    });
+    
+    const asOf = data.asOf || data.date;
+    return {
+        asOf: asOf ? String(asOf).slice(0, 10) : new Date().toISOString().slice(0, 10),
+        source: source,
+        rates: rates,
+        volatilities: volatilities
+    };
+}
+
+/**
+ * Fetch a JSON document, turning HTTP and offline failures into errors
+ * @param {string} url - The URL to fetch
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} The parsed JSON
+ */
+function fetchMarketDataJson(url, headers = {}) {
+    return fetch(url, { headers: { Accept: 'application/json', ...headers } })
+        .then(response => response.json()
+            .catch(() => ({}))
+            .then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || `Market data request failed (HTTP ${response.status})`);
+                }
+                return data;
+            }));
+}
+
+/**
+ * Create a provider that reads a static JSON file, or an inline object when
+ * config.data is given
+ * @param {Object} config - Provider configuration ({ url, data })
+ * @returns {Object} The provider
+ */
+function createStaticJsonProvider(config = {}) {
+    const url = config.url || DEFAULT_STATIC_MARKET_DATA_URL;
+    
+    return {
+        type: 'static',
+        name: config.data ? 'Static JSON' : `Static JSON (${url})`,
+        fetchMarketData() {
+            const request = config.data ? Promise.resolve(config.data) : fetchMarketDataJson(url);
+            return request.then(data => normalizeMarketData(data, 'static'));
+        }
+    };
+}
+
+/**
+ * Create a provider that calls an HTTP endpoint, sending an optional auth header
+ * @param {Object} config - Provider configuration ({ endpoint, authHeader, authValue })
+ * @returns {Object} The provider
+ */
+function createHttpProvider(config = {}) {
+    if (!config.endpoint) {
+        throw new Error('The HTTP market data provider needs an endpoint');
+    }
+    
+    const headers = {};
+    if (config.authHeader && config.authValue) {
+        headers[config.authHeader] = config.authValue;
+    }
+    
+    return {
+        type: 'http',
+        name: `HTTP (${config.endpoint})`,
+        fetchMarketData() {
+            return fetchMarketDataJson(config.endpoint, headers)
+                .then(data => normalizeMarketData(data, 'http'));
+        }
+    };
+}
+
+registerMarketDataProvider('static', 'Static JSON File', createStaticJsonProvider);
+registerMarketDataProvider('http', 'HTTP API', createHttpProvider);
+
+/**
+ * Create the provider for a configuration
+ * @param {Object} config - Provider configuration ({ type, ... })
+ * @returns {Object|null} The provider, or null for manual rate entry
+ */
+function createMarketDataProvider(config) {
+    if (!config || !config.type || config.type === 'manual') {
+        return null;
+    }
+    
+    const provider = MARKET_DATA_PROVIDERS[config.type];
+    if (!provider) {
+        throw new Error(`Unknown market data provider: ${config.type}`);
+    }
+    return provider.create(config);
+}
+
+/**
+ * Get the registered provider types
+ * @returns {Array} Provider types ({ type, name })
+ */
+function getMarketDataProviderTypes() {
+    return Object.values(MARKET_DATA_PROVIDERS).map(({ type, name }) => ({ type, name }));
+}
+
+/**
+ * Get the stored provider configuration
+ * @returns {Object} The configuration
+ */
+function getMarketDataConfig() {
+    try {
+        const savedConfig = localStorage.getItem(MARKET_DATA_CONFIG_STORAGE_KEY);
+        if (savedConfig) {
+            return { ...DEFAULT_MARKET_DATA_CONFIG, ...JSON.parse(savedConfig) };
+        }
+    } catch (error) {
+        console.error('Error loading market data configuration:', error);
+    }
+    
+    return { ...DEFAULT_MARKET_DATA_CONFIG };
+}
+
+/**
+ * Tell the service worker which provider URL to keep for offline use
+ * @param {Object} config - Provider configuration
+ */
+function sendProviderEndpointToServiceWorker(config) {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker || !navigator.serviceWorker.controller) {
+        return;
+    }
+    
+    const url = config.type === 'http' ? config.endpoint
+        : config.type === 'static' && !config.data ? config.url || DEFAULT_STATIC_MARKET_DATA_URL
+        : '';
+    let endpoint = null;
+    try {
+        endpoint = url ? new URL(url, window.location.href).href : null;
+    } catch (error) {
+        console.error('Invalid market data provider URL:', error);
+    }
+    navigator.serviceWorker.controller.postMessage({ type: 'market-data-endpoint', endpoint: endpoint });
+}
+
+/**
+ * Save the provider configuration
+ * @param {Object} config - The configuration
+ * @returns {boolean} Whether the configuration was saved
+ */
+function saveMarketDataConfig(config) {
+    try {
+        localStorage.setItem(MARKET_DATA_CONFIG_STORAGE_KEY, JSON.stringify({ ...DEFAULT_MARKET_DATA_CONFIG, ...config }));
+        sendProviderEndpointToServiceWorker(config);
+        return true;
+    } catch (error) {
+        console.error('Error saving market data configuration:', error);
+        return false;
+    }
+}
+
+/**
+ * Fetch market data from the configured provider and save it as a rate snapshot.
+ * A snapshot from the same provider and "as of" date is updated rather than duplicated.
+ * @param {Object} config - Provider configuration (defaults to the stored one)
+ * @returns {Promise<Object|null>} The saved snapshot, or null for manual rate entry
+ */
+function refreshMarketData(config = getMarketDataConfig()) {
+    let provider;
+    try {
+        provider = createMarketDataProvider(config);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+    if (!provider) {
+        return Promise.resolve(null);
+    }
+    
+    sendProviderEndpointToServiceWorker(config);
+    return provider.fetchMarketData().then(data => {
+        const existing = FXRES.rates.getSnapshots().find(s => s.source === data.source && s.asOf === data.asOf);
+        return FXRES.rates.saveSnapshot({
+            id: existing ? existing.id : null,
+            asOf: data.asOf,
+            source: data.source,
+            rates: data.rates,
+            volatilities: data.volatilities
+        });
+    });
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // For Node.js/CommonJS
+    module.exports = {
+        registerMarketDataProvider,
+        createMarketDataProvider,
+        createStaticJsonProvider,
+        createHttpProvider,
+        normalizeMarketData
+    };
+} else {
+    // For browser
+    window.FXRES = window.FXRES || {};
+    window.FXRES.marketData = {
+        registerProvider: registerMarketDataProvider,
+        createProvider: createMarketDataProvider,
+        getProviderTypes: getMarketDataProviderTypes,
+        getConfig: getMarketDataConfig,
+        saveConfig: saveMarketDataConfig,
+        refresh: refreshMarketData,
+        normalize: normalizeMarketData
+    };
+}
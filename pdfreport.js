@@ -0,0 +1,528 @@
+/**
+ * FX Risk Exposure Simulator - PDF Report
+ *
+ * This module lays out the simulation results as a PDF report directly with jsPDF,
+ * so text and tables stay sharp and selectable, including:
+ * - A cover page and an executive summary
+ * - Vector tables that continue across pages with their header row repeated
+ * - Chart images, passed in by the page that renders the charts
+ * - An appendix with the inputs and assumptions behind the figures
+ * - Configurable branding (company name, title, color, logo) stored in localStorage
+ *
+ * Page sizes are read from the document, so A4 and Letter both lay out correctly.
+ */
+
+const REPORT_BRANDING_STORAGE_KEY = 'fxresReportBranding';
+
+// Default branding for the report
+const DEFAULT_REPORT_BRANDING = {
+    companyName: 'FXRES',
+    title: 'FX Risk Exposure Report',
+    primaryColor: '#2563eb',
+    logoDataUrl: null, // PNG or JPEG data URL shown on the cover
+    footerText: 'Confidential - For internal use only'
+};
+
+// Page sizes the report supports (jsPDF format names)
+const REPORT_PAGE_FORMATS = ['a4', 'letter'];
+
+// Layout measurements in millimetres
+const REPORT_MARGIN = 18;
+const REPORT_HEADER_HEIGHT = 12;
+const REPORT_FOOTER_HEIGHT = 10;
+const REPORT_ROW_HEIGHT = 6.5;
+
+/**
+ * Get the stored report branding
+ * @returns {Object} The branding
+ */
+function getReportBranding() {
+    try {
+        const saved = localStorage.getItem(REPORT_BRANDING_STORAGE_KEY);
+        if (saved) {
+            return { ...DEFAULT_REPORT_BRANDING, ...JSON.parse(saved) };
+        }
+    } catch (error) {
+        console.error('Error loading report branding:', error);
+    }
+    
+    return { ...DEFAULT_REPORT_BRANDING };
+}
+
+/**
+ * Save the report branding
+ * @param {Object} branding - The branding
+ * @returns {boolean} Whether the branding was saved
+ */
+function saveReportBranding(branding) {
+    try {
+        localStorage.setItem(REPORT_BRANDING_STORAGE_KEY, JSON.stringify({ ...DEFAULT_REPORT_BRANDING, ...branding }));
+        return true;
+    } catch (error) {
+        console.error('Error saving report branding:', error);
+        return false;
+    }
+}
+
+/**
+ * Convert a "#rrggbb" color to [r, g, b]
+ */
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    return match ? match.slice(1).map(h => parseInt(h, 16)) : [37, 99, 235];
+}
+
+/**
+ * Format an amount with its currency code. The PDF standard fonts have no glyphs for
+ * most currency symbols, so codes are used instead.
+ */
+function formatReportAmount(value, currency) {
+    const amount = Number(value) || 0;
+    return `${amount < 0 ? '-' : ''}${currency} ${Math.abs(amount).toLocaleString('en-US', { maximumFractionDigits: 0 })}`;
+}
+
+function formatReportPercent(value, digits = 1) {
+    return `${((Number(value) || 0) * 100).toFixed(digits)}%`;
+}
+
+/**
+ * Create the layout state for a report: page size, cursor and drawing helpers.
+ * Content is drawn top to bottom; helpers start a new page when the next item
+ * does not fit above the footer.
+ */
+function createReportLayout(pdf, branding) {
+    const layout = {
+        pdf: pdf,
+        branding: branding,
+        color: hexToRgb(branding.primaryColor),
+        width: pdf.internal.pageSize.getWidth(),
+        height: pdf.internal.pageSize.getHeight(),
+        y: REPORT_MARGIN,
+        onNewPage: null
+    };
+    layout.contentWidth = layout.width - REPORT_MARGIN * 2;
+    layout.bottom = layout.height - REPORT_MARGIN - REPORT_FOOTER_HEIGHT;
+    
+    layout.newPage = function() {
+        pdf.addPage();
+        
+        // Running header: brand rule, report title and company
+        pdf.setDrawColor(...layout.color);
+        pdf.setLineWidth(0.6);
+        pdf.line(REPORT_MARGIN, REPORT_MARGIN, layout.width - REPORT_MARGIN, REPORT_MARGIN);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(8);
+        pdf.setTextColor(100);
+        pdf.text(branding.title, REPORT_MARGIN, REPORT_MARGIN - 2);
+        pdf.text(branding.companyName, layout.width - REPORT_MARGIN, REPORT_MARGIN - 2, { align: 'right' });
+        
+        layout.y = REPORT_MARGIN + REPORT_HEADER_HEIGHT;
+        if (layout.onNewPage) layout.onNewPage();
+    };
+    
+    layout.ensureSpace = function(height) {
+        if (layout.y + height > layout.bottom) {
+            layout.newPage();
+            return true;
+        }
+        return false;
+    };
+    
+    layout.heading = function(text) {
+        // Keep a heading on the same page as the start of what follows it
+        layout.ensureSpace(11 + REPORT_ROW_HEIGHT * 3);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(14);
+        pdf.setTextColor(...layout.color);
+        pdf.text(text, REPORT_MARGIN, layout.y + 5);
+        layout.y += 11;
+    };
+    
+    layout.paragraph = function(text, options = {}) {
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(10);
+        pdf.setTextColor(50);
+        const indent = options.bullet ? 4 : 0;
+        pdf.splitTextToSize(text, layout.contentWidth - indent).forEach((line, index) => {
+            layout.ensureSpace(5);
+            if (options.bullet && index === 0) {
+                pdf.text('•', REPORT_MARGIN, layout.y + 4);
+            }
+            pdf.text(line, REPORT_MARGIN + indent, layout.y + 4);
+            layout.y += 5;
+        });
+        layout.y += 2;
+    };
+    
+    return layout;
+}
+
+/**
+ * Draw key figures as a grid of labelled boxes
+ * @param {Object} layout - The report layout
+ * @param {Array} items - Figures ({ label, value })
+ */
+function drawReportMetrics(layout, items) {
+    const { pdf } = layout;
+    const columns = 2;
+    const gap = 4;
+    const boxWidth = (layout.contentWidth - gap * (columns - 1)) / columns;
+    const boxHeight = 16;
+    
+    for (let i = 0; i < items.length; i += columns) {
+        layout.ensureSpace(boxHeight + gap);
+        items.slice(i, i + columns).forEach((item, column) => {
+            const x = REPORT_MARGIN + column * (boxWidth + gap);
+            pdf.setFillColor(245, 247, 250);
+            pdf.rect(x, layout.y, boxWidth, boxHeight, 'F');
+            pdf.setFillColor(...layout.color);
+            pdf.rect(x, layout.y, 1.2, boxHeight, 'F');
+            
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(8);
+            pdf.setTextColor(100);
+            pdf.text(item.label, x + 4, layout.y + 5.5);
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(12);
+            pdf.setTextColor(30);
+            pdf.text(item.value, x + 4, layout.y + 12);
+        });
+        layout.y += boxHeight + gap;
+    }
+    layout.y += 2;
+}
+
+/**
+ * Draw a table that continues across pages, repeating its header row on each page
+ * @param {Object} layout - The report layout
+ * @param {Array} columns - Columns ({ header, width (relative), align })
+ * @param {Array<Array<string>>} rows - Cell text per row
+ * @param {Object} options - Table options ({ boldLastRow })
+ */
+function drawReportTable(layout, columns, rows, options = {}) {
+    const { pdf } = layout;
+    const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+    const widths = columns.map(column => layout.contentWidth * (column.width || 1) / totalWeight);
+    const padding = 1.5;
+    
+    // Fit text into a cell, shortening it with an ellipsis when it is too wide
+    const fit = (text, width) => {
+        let value = String(text === null || text === undefined ? '' : text);
+        if (pdf.getTextWidth(value) <= width - padding * 2) return value;
+        while (value.length > 1 && pdf.getTextWidth(`${value}...`) > width - padding * 2) {
+            value = value.slice(0, -1);
+        }
+        return `${value}...`;
+    };
+    
+    const drawRow = (cells, style) => {
+        let x = REPORT_MARGIN;
+        if (style.fill) {
+            pdf.setFillColor(...style.fill);
+            pdf.rect(REPORT_MARGIN, layout.y, layout.contentWidth, REPORT_ROW_HEIGHT, 'F');
+        }
+        pdf.setFont('helvetica', style.bold ? 'bold' : 'normal');
+        pdf.setFontSize(8);
+        pdf.setTextColor(...style.textColor);
+        
+        cells.forEach((cell, index) => {
+            const align = columns[index].align || 'left';
+            const textX = align === 'right' ? x + widths[index] - padding : x + padding;
+            pdf.text(fit(cell, widths[index]), textX, layout.y + REPORT_ROW_HEIGHT - 2, { align: align });
+            x += widths[index];
+        });
+        layout.y += REPORT_ROW_HEIGHT;
+    };
+    
+    const drawHeader = () => drawRow(columns.map(column => column.header), {
+        bold: true,
+        fill: layout.color,
+        textColor: [255, 255, 255]
+    });
+    
+    layout.ensureSpace(REPORT_ROW_HEIGHT * 2);
+    drawHeader();
+    
+    rows.forEach((row, index) => {
+        if (layout.ensureSpace(REPORT_ROW_HEIGHT)) {
+            drawHeader();
+        }
+        drawRow(row, {
+            bold: options.boldLastRow && index === rows.length - 1,
+            fill: index % 2 === 1 ? [245, 247, 250] : null,
+            textColor: [40, 40, 40]
+        });
+    });
+    layout.y += 6;
+}
+
+/**
+ * Draw a chart image scaled to the content width
+ * @param {Object} layout - The report layout
+ * @param {Object} chart - The chart ({ title, image (data URL), aspectRatio (height / width) })
+ */
+function drawReportChart(layout, chart) {
+    const { pdf } = layout;
+    const maxHeight = (layout.bottom - REPORT_MARGIN - REPORT_HEADER_HEIGHT) / 2;
+    let width = layout.contentWidth;
+    let height = width * (chart.aspectRatio || 0.5);
+    if (height > maxHeight) {
+        width = width * maxHeight / height;
+        height = maxHeight;
+    }
+    
+    layout.ensureSpace(height + 10);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(10);
+    pdf.setTextColor(50);
+    pdf.text(chart.title, REPORT_MARGIN, layout.y + 4);
+    pdf.addImage(chart.image, 'PNG', REPORT_MARGIN + (layout.contentWidth - width) / 2, layout.y + 6, width, height);
+    layout.y += height + 12;
+}
+
+/**
+ * Draw the cover page
+ */
+function drawReportCover(layout, results) {
+    const { pdf, branding } = layout;
+    const bandHeight = layout.height * 0.38;
+    
+    pdf.setFillColor(...layout.color);
+    pdf.rect(0, 0, layout.width, bandHeight, 'F');
+    
+    if (branding.logoDataUrl) {
+        try {
+            const logoFormat = /^data:image\/jpe?g/i.test(branding.logoDataUrl) ? 'JPEG' : 'PNG';
+            pdf.addImage(branding.logoDataUrl, logoFormat, REPORT_MARGIN, REPORT_MARGIN, 40, 16);
+        } catch (error) {
+            console.error('Error adding report logo:', error);
+        }
+    }
+    
+    pdf.setTextColor(255, 255, 255);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(12);
+    pdf.text(branding.companyName, REPORT_MARGIN, bandHeight - 38);
+    pdf.setFont('helvetica', 'bold');
+    pdf.setFontSize(26);
+    pdf.text(pdf.splitTextToSize(branding.title, layout.contentWidth), REPORT_MARGIN, bandHeight - 26);
+    pdf.setFont('helvetica', 'normal');
+    pdf.setFontSize(14);
+    pdf.text(pdf.splitTextToSize(results.simulationName || '', layout.contentWidth), REPORT_MARGIN, bandHeight - 10);
+    
+    const details = [
+        ['Base Currency', results.baseCurrency],
+        ['Valuation Date', results.valuationDate || ''],
+        ['Rates As Of', results.ratesAsOf || 'Default rates'],
+        ['Generated', new Date().toLocaleString()]
+    ];
+    let y = bandHeight + 20;
+    details.forEach(([label, value]) => {
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(10);
+        pdf.setTextColor(100);
+        pdf.text(label, REPORT_MARGIN, y);
+        pdf.setTextColor(30);
+        pdf.text(String(value), REPORT_MARGIN + 45, y);
+        y += 8;
+    });
+}
+
+/**
+ * Rows for the assumptions appendix, taken from the Inputs & Assumptions sheet of
+ * the Excel workbook so both exports describe the inputs the same way
+ */
+function getReportAssumptions(results, simulationData) {
+    const exporter = typeof window !== 'undefined' && window.FXRES && window.FXRES.export
+        ? window.FXRES.export
+        : require('./export.js');
+    const sheet = exporter.buildResultsWorkbook(results, simulationData).sheets
+        .find(s => s.name === 'Inputs & Assumptions');
+    
+    const cellText = cell => {
+        if (cell === null || cell === undefined) return '';
+        if (typeof cell !== 'object') return String(cell);
+        if (cell.numFmt && cell.numFmt.includes('%')) return formatReportPercent(cell.value);
+        if (cell.numFmt) return formatReportAmount(cell.value, results.baseCurrency);
+        return String(cell.value);
+    };
+    
+    return sheet.rows.map(row => row.map(cellText));
+}
+
+/**
+ * Build the PDF report for simulation results
+ * @param {Object} results - Output of calculateSimulationResults
+ * @param {Object} simulationData - The simulation inputs
+ * @param {Object} options - Report options
+ * @param {string} options.format - Page size: 'a4' (default) or 'letter'
+ * @param {Object} options.branding - Branding overrides (defaults to the stored branding)
+ * @param {Array} options.charts - Chart images ({ title, image, aspectRatio })
+ * @param {Function} options.jsPDF - The jsPDF constructor (defaults to the global jspdf.jsPDF)
+ * @returns {Object} The jsPDF document
+ */
+function buildPdfReport(results, simulationData = {}, options = {}) {
+    const JsPdf = options.jsPDF || (typeof jspdf !== 'undefined' ? jspdf.jsPDF : null);
+    if (!JsPdf) {
+        throw new Error('jsPDF library is not loaded');
+    }
+    
+    const format = REPORT_PAGE_FORMATS.includes(options.format) ? options.format : 'a4';
+    const branding = { ...getReportBranding(), ...options.branding };
+    const pdf = new JsPdf({ unit: 'mm', format: format, orientation: 'portrait' });
+    const layout = createReportLayout(pdf, branding);
+    const base = results.baseCurrency;
+    const money = value => formatReportAmount(value, base);
+    const exposures = results.exposureDetails || [];
+    const stressTests = [
+        ...(results.stressTests || []),
+        ...(results.reverseStressTest ? results.reverseStressTest.stressTests : [])
+    ];
+    
+    drawReportCover(layout, results);
+    
+    // Executive summary: headline figures and what stands out
+    layout.newPage();
+    layout.heading('Executive Summary');
+    drawReportMetrics(layout, [
+        { label: 'Gross Exposure', value: money(results.totalExposure) },
+        { label: 'Net Exposure', value: money(results.netExposure !== undefined ? results.netExposure : results.totalExposure) },
+        { label: `Value at Risk (${+((results.confidenceLevel || 0.95) * 100).toFixed(2)}%, ${results.varMethod}, ${results.timeHorizon} days)`, value: money(results.varValue) },
+        { label: 'Diversification Benefit', value: money(results.diversificationBenefit) },
+        { label: 'Residual Exposure', value: money(results.unhedgedExposure) },
+        { label: 'Hedge Ratio', value: formatReportPercent(results.totalExposure ? results.hedgedExposure / results.totalExposure : 0) },
+        { label: 'Hedge Cost', value: money(results.hedgeCost) },
+        { label: 'High-Risk Exposures', value: `${results.highRiskExposureCount} of ${exposures.length}` }
+    ]);
+    
+    const largest = (results.currencyExposures || [])[0];
+    if (largest) {
+        layout.paragraph(`The largest net position is ${largest.currency} at ${money(largest.amount)} (${money(largest.residual)} after hedges).`, { bullet: true });
+    }
+    const worst = stressTests.slice().sort((a, b) => a.totalImpact - b.totalImpact)[0];
+    if (worst && worst.totalImpact < 0) {
+        layout.paragraph(`The most severe stress scenario is ${worst.name}, with an impact of ${money(worst.totalImpact)}.`, { bullet: true });
+    }
+    (results.warnings || []).forEach(warning => layout.paragraph(warning.message, { bullet: true }));
+    
+    // Charts rendered on the results page
+    (options.charts || []).forEach(chart => drawReportChart(layout, chart));
+    
+    layout.heading('Exposure Details');
+    drawReportTable(layout, [
+        { header: 'Pair', width: 1.1 },
+        { header: 'Direction', width: 1.1 },
+        { header: 'Entity', width: 1.3 },
+        { header: 'Amount', width: 1.6, align: 'right' },
+        { header: `Base (${base})`, width: 1.6, align: 'right' },
+        { header: 'Hedged', width: 0.9, align: 'right' },
+        { header: `Residual (${base})`, width: 1.6, align: 'right' },
+        { header: 'Vol.', width: 0.8, align: 'right' },
+        { header: 'Risk', width: 1 }
+    ], exposures.map(exp => [
+        exp.currencyPair,
+        exp.direction || 'receivable',
+        exp.entity || '',
+        formatReportAmount(exp.amount, exp.fromCurrency),
+        money(exp.baseEquivalent),
+        formatReportPercent(exp.hedgeRatio, 0),
+        money(exp.residualBaseEquivalent),
+        formatReportPercent(exp.volatility),
+        exp.riskLevel
+    ]));
+    
+    layout.heading('Currency Breakdown');
+    const currencies = results.currencyExposures || [];
+    drawReportTable(layout, [
+        { header: 'Currency' },
+        { header: 'Long', width: 1.5, align: 'right' },
+        { header: 'Short', width: 1.5, align: 'right' },
+        { header: 'Gross', width: 1.5, align: 'right' },
+        { header: 'Net', width: 1.5, align: 'right' },
+        { header: 'Residual', width: 1.5, align: 'right' }
+    ], [
+        ...currencies.map(item => [item.currency, money(item.long), money(item.short), money(item.gross), money(item.amount), money(item.residual)]),
+        ['Total', ...['long', 'short', 'gross', 'amount', 'residual'].map(key => money(currencies.reduce((sum, item) => sum + item[key], 0)))]
+    ], { boldLastRow: true });
+    
+    if (stressTests.length > 0) {
+        layout.heading('Stress Tests');
+        drawReportTable(layout, [
+            { header: 'Scenario', width: 3 },
+            { header: 'Total Impact', width: 1.5, align: 'right' },
+            { header: '% of Gross', width: 1, align: 'right' },
+            { header: 'Hedge Offset', width: 1.5, align: 'right' }
+        ], stressTests.map(test => [
+            test.name,
+            money(test.totalImpact),
+            formatReportPercent(results.totalExposure ? test.totalImpact / results.totalExposure : 0),
+            money(test.exposureImpacts.reduce((sum, impact) => sum + impact.hedgeImpact, 0))
+        ]));
+    }
+    
+    // Appendix on its own page
+    layout.newPage();
+    layout.heading('Appendix: Inputs and Assumptions');
+    drawReportTable(layout, [
+        { header: 'Input', width: 2 },
+        { header: 'Value', width: 1.5 },
+        { header: 'Detail', width: 3 }
+    ], getReportAssumptions(results, simulationData).filter(row => row.some(cell => cell !== '')));
+    
+    // Footers on every page after the cover, placed from the page height
+    const pageCount = pdf.internal.getNumberOfPages();
+    for (let page = 2; page <= pageCount; page++) {
+        pdf.setPage(page);
+        const footerY = layout.height - REPORT_MARGIN + 2;
+        pdf.setDrawColor(220);
+        pdf.setLineWidth(0.2);
+        pdf.line(REPORT_MARGIN, footerY - 5, layout.width - REPORT_MARGIN, footerY - 5);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(8);
+        pdf.setTextColor(120);
+        pdf.text(branding.footerText, REPORT_MARGIN, footerY);
+        pdf.text(`Page ${page - 1} of ${pageCount - 1}`, layout.width - REPORT_MARGIN, footerY, { align: 'right' });
+    }
+    
+    return pdf;
+}
+
+/**
+ * Build the PDF report and download it
+ * @param {Object} results - Output of calculateSimulationResults
+ * @param {Object} simulationData - The simulation inputs
+ * @param {string} filename - The name of the file (without extension)
+ * @param {Object} options - Report options (see buildPdfReport)
+ * @returns {Promise} A promise that resolves when the report is saved
+ */
+function exportPdfReport(results, simulationData = {}, filename = 'fx-risk-report', options = {}) {
+    try {
+        const pdf = buildPdfReport(results, simulationData, options);
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        pdf.save(`${filename.replace(/\.pdf$/i, '')}_${timestamp}.pdf`);
+        return Promise.resolve();
+    } catch (error) {
+        console.error('Error generating PDF report:', error);
+        return Promise.reject(error);
+    }
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // For Node.js/CommonJS
+    module.exports = {
+        buildPdfReport,
+        formatReportAmount,
+        DEFAULT_REPORT_BRANDING
+    };
+} else {
+    // For browser
+    window.FXRES = window.FXRES || {};
+    window.FXRES.report = {
+        PAGE_FORMATS: REPORT_PAGE_FORMATS,
+        build: buildPdfReport,
+        exportPdf: exportPdfReport,
+        getBranding: getReportBranding,
+        saveBranding: saveReportBranding
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * FX Risk Exposure Simulator - Hedging Policy Engine
+ *
+ * This module evaluates a declarative hedging policy against simulation results, including:
+ * - Rule types for hedge ratios, currency concentration, VaR limits and risk scores
+ * - Pass/fail checks for each rule, with the breaches that failed it
+ * - Recommendations that reference the rule that triggered them
+ * - Validating a rule set before it is stored with the workspace
+ *
+ * A rule is { id, name, type, params, severity, enabled, recommendation }, where type is
+ * a key of POLICY_RULE_TYPES and recommendation optionally replaces the default advice.
+ * Amounts are in the simulation's base currency and shares are fractions (0.3 = 30%).
+ */
+
+// Breach severities, from least to most severe
+const POLICY_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Format an amount with its currency code for policy messages
+ */
+function formatPolicyAmount(value, currency) {
+    return `${currency} ${Math.round(Math.abs(value)).toLocaleString('en-US')}`;
+}
+
+function formatPolicyShare(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * VaR limit of a risk appetite as a share of gross exposure
+ */
+function getRiskAppetiteVaRLimit(riskAppetite) {
+    const engine = typeof window !== 'undefined' && window.FXRES && window.FXRES.simulation
+        ? window.FXRES.simulation
+        : require('./simulation.js');
+    return engine.RISK_APPETITE_VAR_LIMITS[riskAppetite] || engine.RISK_APPETITE_VAR_LIMITS[3];
+}
+
+// Rule types. Each evaluate(results, params) returns the breaches it finds as
+// { subject, actual, limit, message }; an empty list means the check passed.
+const POLICY_RULE_TYPES = {
+    'min-hedge-ratio': {
+        label: 'Minimum hedge ratio for large exposures',
+        params: { minAmount: 'Exposures at or above this base amount', minHedgeRatio: 'Minimum hedged share' },
+        icon: 'fas fa-shield-alt',
+        evaluate: (results, params) => results.exposureDetails
+            .filter(exp => Math.abs(exp.baseEquivalent) >= (params.minAmount || 0) && exp.riskCurrency !== results.baseCurrency)
+            .filter(exp => exp.hedgeRatio < params.minHedgeRatio)
+            .map(exp => ({
+                subject: exp.currencyPair,
+                actual: exp.hedgeRatio,
+                limit: params.minHedgeRatio,
+                message: `${exp.currencyPair} ${exp.direction} of ${formatPolicyAmount(exp.baseEquivalent, results.baseCurrency)} is ${formatPolicyShare(exp.hedgeRatio)} hedged (minimum ${formatPolicyShare(params.minHedgeRatio)})`
+            })),
+        recommendation: (breaches) => `Raise the hedge ratio of ${breaches.map(b => b.subject).join(', ')} to at least ${formatPolicyShare(breaches[0].limit)}.`
+    },
+    'min-portfolio-hedge-ratio': {
+        label: 'Minimum hedge ratio for the whole book',
+        params: { minHedgeRatio: 'Minimum hedged share of gross exposure' },
+        icon: 'fas fa-shield-alt',
+        evaluate: (results, params) => {
+            const ratio = results.totalExposure > 0 ? results.hedgedExposure / results.totalExposure : 1;
+            return ratio < params.minHedgeRatio ? [{
+                subject: 'Portfolio',
+                actual: ratio,
+                limit: params.minHedgeRatio,
+                message: `${formatPolicyShare(ratio)} of gross exposure is hedged (minimum ${formatPolicyShare(params.minHedgeRatio)})`
+            }] : [];
+        },
+        recommendation: (breaches, results) => `Hedge a further ${formatPolicyAmount((breaches[0].limit - breaches[0].actual) * results.totalExposure, results.baseCurrency)} of exposure.`
+    },
+    'max-currency-concentration': {
+        label: 'Maximum share of a single currency',
+        params: { maxShare: 'Maximum share of gross exposure in one currency' },
+        icon: 'fas fa-chart-pie',
+        evaluate: (results, params) => results.currencyExposures
+            .filter(item => results.totalExposure > 0 && item.gross / results.totalExposure > params.maxShare)
+            .map(item => ({
+                subject: item.currency,
+                actual: item.gross / results.totalExposure,
+                limit: params.maxShare,
+                message: `${item.currency} is ${formatPolicyShare(item.gross / results.totalExposure)} of gross exposure (maximum ${formatPolicyShare(params.maxShare)})`
+            })),
+        recommendation: (breaches) => `Reduce or hedge the concentration in ${breaches.map(b => b.subject).join(', ')}.`
+    },
+    'max-var': {
+        label: 'Maximum Value at Risk',
+        params: { limit: 'Maximum VaR in the base currency' },
+        icon: 'fas fa-balance-scale',
+        evaluate: (results, params) => (results.varValue > params.limit ? [{
+            subject: 'Portfolio',
+            actual: results.varValue,
+            limit: params.limit,
+            message: `VaR of ${formatPolicyAmount(results.varValue, results.baseCurrency)} exceeds the limit of ${formatPolicyAmount(params.limit, results.baseCurrency)}`
+        }] : []),
+        recommendation: () => 'Use the hedge optimizer with the VaR limit as its target to find the cheapest hedges that meet it.'
+    },
+    'var-within-risk-appetite': {
+        label: 'VaR within the risk appetite',
+        params: {},
+        icon: 'fas fa-balance-scale',
+        evaluate: (results) => {
+            const limit = results.totalExposure * getRiskAppetiteVaRLimit(results.riskAppetite);
+            return results.varValue > limit ? [{
+                subject: 'Portfolio',
+                actual: results.varValue,
+                limit: limit,
+                message: `VaR of ${formatPolicyAmount(results.varValue, results.baseCurrency)} exceeds the risk appetite limit of ${formatPolicyAmount(limit, results.baseCurrency)}`
+            }] : [];
+        },
+        recommendation: () => 'Reduce positions or increase hedges; the hedge optimizer targets the risk appetite limit by default.'
+    },
+    'max-unhedged-exposure': {
+        label: 'Maximum unhedged exposure',
+        params: { limit: 'Maximum unhedged exposure in the base currency' },
+        icon: 'fas fa-umbrella',
+        evaluate: (results, params) => (results.unhedgedExposure > params.limit ? [{
+            subject: 'Portfolio',
+            actual: results.unhedgedExposure,
+            limit: params.limit,
+            message: `Unhedged exposure of ${formatPolicyAmount(results.unhedgedExposure, results.baseCurrency)} exceeds the limit of ${formatPolicyAmount(params.limit, results.baseCurrency)}`
+        }] : []),
+        recommendation: (breaches, results) => `Hedge at least ${formatPolicyAmount(breaches[0].actual - breaches[0].limit, results.baseCurrency)} more of the exposure.`
+    },
+    'max-risk-score': {
+        label: 'Maximum exposure risk score',
+        params: { maxScore: 'Highest risk score (1-10) allowed for an exposure' },
+        icon: 'fas fa-exclamation-triangle',
+        evaluate: (results, params) => results.exposureDetails
+            .filter(exp => exp.riskScore > params.maxScore)
+            .map(exp => ({
+                subject: exp.currencyPair,
+                actual: exp.riskScore,
+                limit: params.maxScore,
+                message: `${exp.currencyPair} ${exp.direction} has a risk score of ${exp.riskScore} (${exp.riskLevel}; maximum ${params.maxScore})`
+            })),
+        recommendation: (breaches) => `Review ${breaches.length} exposure${breaches.length === 1 ? '' : 's'} rated above the maximum risk score: ${breaches.map(b => b.subject).join(', ')}.`
+    },
+    'max-stress-loss': {
+        label: 'Maximum stress test loss',
+        params: { limit: 'Maximum loss in any stress scenario, in the base currency' },
+        icon: 'fas fa-bolt',
+        evaluate: (results, params) => (results.stressTests || [])
+            .filter(test => -test.totalImpact > params.limit)
+            .map(test => ({
+                subject: test.name,
+                actual: -test.totalImpact,
+                limit: params.limit,
+                message: `The ${test.name} scenario loses ${formatPolicyAmount(test.totalImpact, results.baseCurrency)} (limit ${formatPolicyAmount(params.limit, results.baseCurrency)})`
+            })),
+        recommendation: (breaches) => `Hedge the currencies that drive the losses in ${breaches.map(b => b.subject).join(', ')}.`
+    }
+};
+
+// Policy used until the workspace stores its own
+const DEFAULT_POLICY_RULES = [
+    {
+        id: 'hedge-large-exposures',
+        name: 'Hedge at least 50% of exposures above 1M',
+        type: 'min-hedge-ratio',
+        params: { minAmount: 1000000, minHedgeRatio: 0.5 },
+        severity: 'high',
+        enabled: true
+    },
+    {
+        id: 'currency-concentration',
+        name: 'No single currency above 30% of total',
+        type: 'max-currency-concentration',
+        params: { maxShare: 0.3 },
+        severity: 'medium',
+        enabled: true
+    },
+    {
+        id: 'var-risk-appetite',
+        name: 'VaR within the risk appetite',
+        type: 'var-within-risk-appetite',
+        params: {},
+        severity: 'high',
+        enabled: true
+    },
+    {
+        id: 'no-high-risk-exposures',
+        name: 'No high or critical risk exposures',
+        type: 'max-risk-score',
+        params: { maxScore: 5 },
+        severity: 'medium',
+        enabled: true
+    }
+];
+
+/**
+ * Check a rule set before storing it
+ * @param {Array} rules - The rules
+ * @returns {Array<string>} Validation errors; empty when the rules are valid
+ */
+function validatePolicyRules(rules) {
+    if (!Array.isArray(rules)) {
+        return ['The policy must be a list of rules'];
+    }
+
+    const errors = [];
+    const ids = new Set();
+    rules.forEach((rule, index) => {
+        const where = `Rule ${index + 1}${rule && rule.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${where}: must be an object`);
+            return;
+        }
+        if (!rule.id || typeof rule.id !== 'string') {
+            errors.push(`${where}: id is required`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${where}: id "${rule.id}" is used more than once`);
+        }
+        ids.add(rule.id);
+
+        const type = POLICY_RULE_TYPES[rule.type];
+        if (!type) {
+            errors.push(`${where}: unknown type "${rule.type}" (expected one of ${Object.keys(POLICY_RULE_TYPES).join(', ')})`);
+            return;
+        }
+        if (rule.severity !== undefined && !POLICY_SEVERITIES.includes(rule.severity)) {
+            errors.push(`${where}: severity must be one of ${POLICY_SEVERITIES.join(', ')}`);
+        }
+        Object.keys(type.params).forEach(param => {
+            const value = rule.params ? rule.params[param] : undefined;
+            if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+                errors.push(`${where}: params.${param} must be a non-negative number (${type.params[param]})`);
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Evaluate a hedging policy against simulation results
+ * @param {Object} results - Output of calculateSimulationResults
+ * @param {Array} rules - The policy rules (defaults to DEFAULT_POLICY_RULES)
+ * @returns {Object} { passed, checks, breaches, recommendations }: a check per enabled rule
+ *   ({ ruleId, ruleName, severity, passed, breaches }), all breaches most severe first,
+ *   and a recommendation per failed rule ({ ruleId, ruleName, severity, icon, title, description })
+ */
+function evaluatePolicy(results, rules = DEFAULT_POLICY_RULES) {
+    const checks = rules
+        .filter(rule => rule.enabled !== false && POLICY_RULE_TYPES[rule.type])
+        .map(rule => {
+            const severity = POLICY_SEVERITIES.includes(rule.severity) ? rule.severity : 'medium';
+            const breaches = POLICY_RULE_TYPES[rule.type].evaluate(results, rule.params || {})
+                .map(breach => ({ ...breach, ruleId: rule.id, ruleName: rule.name, severity }));
+            return { ruleId: rule.id, ruleName: rule.name, type: rule.type, severity, passed: breaches.length === 0, breaches };
+        });
+
+    const severityRank = severity => POLICY_SEVERITIES.indexOf(severity);
+    const breaches = checks
+        .reduce((all, check) => all.concat(check.breaches), [])
+        .sort((a, b) => severityRank(b.severity) - severityRank(a.severity));
+
+    const recommendations = checks
+        .filter(check => !check.passed)
+        .sort((a, b) => severityRank(b.severity) - severityRank(a.severity))
+        .map(check => {
+            const rule = rules.find(r => r.id === check.ruleId);
+            const type = POLICY_RULE_TYPES[check.type];
+            return {
+                ruleId: check.ruleId,
+                ruleName: check.ruleName,
+                severity: check.severity,
+                icon: type.icon,
+                title: check.ruleName,
+                description: rule.recommendation || type.recommendation(check.breaches, results)
+            };
+        });
+
+    return {
+        passed: checks.every(check => check.passed),
+        checks,
+        breaches,
+        recommendations
+    };
+}
+
+// Export functions for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    // For Node.js/CommonJS
+    module.exports = {
+        evaluatePolicy,
+        validatePolicyRules,
+        POLICY_RULE_TYPES,
+        POLICY_SEVERITIES,
+        DEFAULT_POLICY_RULES
+    };
+} else {
+    // For browser
+    window.FXRES = window.FXRES || {};
+    window.FXRES.policy = {
+        evaluatePolicy,
+        validatePolicyRules,
+        POLICY_RULE_TYPES,
+        POLICY_SEVERITIES,
+        DEFAULT_POLICY_RULES
+    };
+}
@@ -0,0 +1,229 @@
+/**
+ * FX Risk Exposure Simulator - Rate History
+ *
+ * This module handles daily FX rate history used for historical simulation VaR
+ * and empirical volatilities, including:
+ * - Parsing rate history from CSV or JSON files
+ * - Storing rate history locally in IndexedDB
+ * - Querying and summarizing the stored history
+ *
+ * Rates are stored as USD per unit of currency, like EXCHANGE_RATES in simulation.js.
+ */
+
+const RATE_HISTORY_DB_NAME = 'fxres';
+const RATE_HISTORY_DB_VERSION = 1;
+const RATE_HISTORY_STORE = 'rateHistory';
+
+/**
+ * Normalize a date value to an ISO date string (YYYY-MM-DD)
+ * @param {string} value - The date value
+ * @returns {string|null} The ISO date, or null if it cannot be parsed
+ */
+function normalizeHistoryDate(value) {
+    if (!value) return null;
+    
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        return text.slice(0, 10);
+    }
+    
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Build a rate history record, or null if the values are not usable
+ */
+function createRateRecord(date, currency, rate) {
+    const isoDate = normalizeHistoryDate(date);
+    const code = String(currency || '').trim().toUpperCase();
+    const value = parseFloat(rate);
+    
+    if (!isoDate || !/^[A-Z]{3}$/.test(code) || !(value > 0)) {
+        return null;
+    }
+    return { date: isoDate, currency: code, rate: value };
+}
+
+/**
+ * Parse rate history from CSV text. Two layouts are supported:
+ * - long: one row per date and currency (date, currency, rate)
+ * - wide: one row per date with a column per currency (date, EUR, GBP, ...)
+ * @param {string} text - The CSV text
+ * @returns {Array} Rate records ({ date, currency, rate })
+ */
+function parseRateHistoryCsv(text) {
+    const { headers, records } = FXRES.csv.parseRecords(text);
+    const lowerHeaders = headers.map(h => h.toLowerCase());
+    const dateHeader = headers[lowerHeaders.indexOf('date')] || headers[0];
+    const currencyHeader = headers[lowerHeaders.indexOf('currency')];
+    const rateHeader = headers[lowerHeaders.indexOf('rate')];
+    
+    if (currencyHeader && rateHeader) {
+        return records
+            .map(r => createRateRecord(r[dateHeader], r[currencyHeader], r[rateHeader]))
+            .filter(Boolean);
+    }
+    
+    const currencyHeaders = headers.filter(h => h !== dateHeader && /^[A-Za-z]{3}$/.test(h));
+    return records.flatMap(r => currencyHeaders
+        .map(currency => createRateRecord(r[dateHeader], currency, r[currency]))
+        .filter(Boolean));
+}
+
+/**
+ * Parse rate history from JSON text. Supported shapes:
+ * - [{ date, currency, rate }, ...]
+ * - [{ date, rates: { EUR: 1.08, ... } }, ...] or [{ date, EUR: 1.08, ... }, ...]
+ * - { EUR: { "2024-01-02": 1.08, ... }, ... }
+ * @param {string} text - The JSON text
+ * @returns {Array} Rate records ({ date, currency, rate })
+ */
+function parseRateHistoryJson(text) {
+    const data = JSON.parse(text);
+    
+    if (Array.isArray(data)) {
+        return data.flatMap(entry => {
+            if (entry.currency !== undefined) {
+                return [createRateRecord(entry.date, entry.currency, entry.rate)];
+            }
+            const rates = entry.rates || entry;
+            return Object.keys(rates)
+                .filter(key => key !== 'date')
+                .map(currency => createRateRecord(entry.date, currency, rates[currency]));
+        }).filter(Boolean);
+    }
+    
+    if (data && typeof data === 'object') {
+        return Object.keys(data).flatMap(currency => Object.keys(data[currency])
+            .map(date => createRateRecord(date, currency, data[currency][date])))
+            .filter(Boolean);
+    }
+    
+    throw new Error('Unrecognized rate history JSON format');
+}
+
+/**
+ * Parse a rate history file by its name or content
+ * @param {string} text - The file content
+ * @param {string} filename - The file name, used to pick the format
+ * @returns {Array} Rate records ({ date, currency, rate })
+ */
+function parseRateHistory(text, filename = '') {
+    const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+    return isJson ? parseRateHistoryJson(text) : parseRateHistoryCsv(text);
+}
+
+/**
+ * Open the IndexedDB database, creating the rate history store if needed
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openRateHistoryDb() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available in this browser'));
+            return;
+        }
+        
+        const request = indexedDB.open(RATE_HISTORY_DB_NAME, RATE_HISTORY_DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(RATE_HISTORY_STORE)) {
+                const store = db.createObjectStore(RATE_HISTORY_STORE, { keyPath: ['currency', 'date'] });
+                store.createIndex('currency', 'currency', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a transaction against the rate history store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} callback - Receives the object store; may return an IDBRequest whose result is resolved
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function withRateHistoryStore(mode, callback) {
+    return openRateHistoryDb().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(RATE_HISTORY_STORE, mode);
+        const request = callback(transaction.objectStore(RATE_HISTORY_STORE));
+        
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(request ? request.result : undefined);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+}
+
+/**
+ * Store rate history records, replacing existing values for the same currency and date
+ * @param {Array} records - Rate records ({ date, currency, rate })
+ * @returns {Promise<number>} The number of records stored
+ */
+function importRateHistory(records) {
+    return withRateHistoryStore('readwrite', store => {
+        records.forEach(record => store.put(record));
+    }).then(() => records.length);
+}
+
+/**
+ * Load stored rate history
+ * @param {Object} options - Query options
+ * @param {Array<string>} options.currencies - Only return these currencies
+ * @returns {Promise<Array>} Rate records sorted by date
+ */
+function getRateHistory(options = {}) {
+    return withRateHistoryStore('readonly', store => store.getAll())
+        .then(records => records
+            .filter(r => !options.currencies || options.currencies.includes(r.currency))
+            .sort((a, b) => a.date.localeCompare(b.date)));
+}
+
+/**
+ * Summarize stored rate history per currency
+ * @returns {Promise<Array>} Summaries ({ currency, count, firstDate, lastDate }) sorted by currency
+ */
+function getRateHistorySummary() {
+    return getRateHistory().then(records => {
+        const summary = {};
+        records.forEach(record => {
+            const entry = summary[record.currency] || (summary[record.currency] = {
+                currency: record.currency,
+                count: 0,
+                firstDate: record.date,
+                lastDate: record.date
+            });
+            entry.count++;
+            entry.lastDate = record.date;
+        });
+        return Object.values(summary).sort((a, b) => a.currency.localeCompare(b.currency));
+    });
+}
+
+/**
+ * Delete all stored rate history
+ * @returns {Promise} Resolves when the history is cleared
+ */
+function clearRateHistory() {
+    return withRateHistoryStore('readwrite', store => {
+        store.clear();
+    });
+}
+
+// Export the rate history functions
+window.FXRES = window.FXRES || {};
+window.FXRES.rateHistory = {
+    parse: parseRateHistory,
+    parseCsv: parseRateHistoryCsv,
+    parseJson: parseRateHistoryJson,
+    importRecords: importRateHistory,
+    getHistory: getRateHistory,
+    getSummary: getRateHistorySummary,
+    clear: clearRateHistory
+};
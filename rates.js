@@ -0,0 +1,200 @@
+/**
+ * FX Risk Exposure Simulator - Exchange Rate Store
+ *
+ * This module manages dated exchange rate snapshots ("as of" dates), including:
+ * - Loading and saving snapshots to localStorage
+ * - Seeding a default snapshot from the engine's EXCHANGE_RATES
+ * - Importing snapshots from CSV
+ * - Resolving the snapshot a simulation was run with
+ *
+ * Rates are quoted in USD per unit of currency, like EXCHANGE_RATES in simulation.js.
+ */
+
+const RATE_SNAPSHOTS_STORAGE_KEY = 'fxresRateSnapshots';
+const DEFAULT_RATE_SNAPSHOT_ID = 'default';
+const DEFAULT_RATES_AS_OF = '2025-01-01';
+
+/**
+ * Build the snapshot shipped with the app from the engine's default rates
+ * @returns {Object} The default snapshot
+ */
+function getDefaultRateSnapshot() {
+    return {
+        id: DEFAULT_RATE_SNAPSHOT_ID,
+        asOf: DEFAULT_RATES_AS_OF,
+        source: 'default',
+        rates: { ...FXRES.simulation.EXCHANGE_RATES },
+        createdAt: `${DEFAULT_RATES_AS_OF}T00:00:00.000Z`
+    };
+}
+
+/**
+ * Get all rate snapshots, most recent "as of" date first
+ * @returns {Array} The snapshots ({ id, asOf, source, rates, createdAt })
+ */
+function getRateSnapshots() {
+    try {
+        const savedSnapshots = localStorage.getItem(RATE_SNAPSHOTS_STORAGE_KEY);
+        if (savedSnapshots) {
+            const snapshots = JSON.parse(savedSnapshots);
+            if (Array.isArray(snapshots) && snapshots.length > 0) {
+                return snapshots.sort((a, b) => b.asOf.localeCompare(a.asOf)
+                    || (b.createdAt || '').localeCompare(a.createdAt || ''));
+            }
+        }
+    } catch (error) {
+        console.error('Error loading rate snapshots:', error);
+    }
+    
+    return [getDefaultRateSnapshot()];
+}
+
+/**
+ * Save the list of rate snapshots to localStorage
+ * @param {Array} snapshots - The snapshots to save
+ * @returns {boolean} Whether the snapshots were saved
+ */
+function saveRateSnapshots(snapshots) {
+    try {
+        localStorage.setItem(RATE_SNAPSHOTS_STORAGE_KEY, JSON.stringify(snapshots));
+        return true;
+    } catch (error) {
+        console.error('Error saving rate snapshots:', error);
+        return false;
+    }
+}
+
+/**
+ * Get a rate snapshot by its ID
+ * @param {string} snapshotId - The ID of the snapshot
+ * @returns {Object|null} The snapshot, or null if not found
+ */
+function getRateSnapshot(snapshotId) {
+    return getRateSnapshots().find(s => s.id === snapshotId) || null;
+}
+
+/**
+ * Get the snapshot with the most recent "as of" date
+ * @returns {Object} The latest snapshot
+ */
+function getLatestRateSnapshot() {
+    return getRateSnapshots()[0];
+}
+
+/**
+ * Resolve the snapshot a simulation uses: the one it recorded, or the latest
+ * if it recorded none or the recorded snapshot was deleted
+ * @param {Object} simulation - The simulation data
+ * @returns {Object} The snapshot
+ */
+function getRateSnapshotForSimulation(simulation) {
+    return (simulation && simulation.rateSnapshotId && getRateSnapshot(simulation.rateSnapshotId))
+        || getLatestRateSnapshot();
+}
+
+/**
+ * Keep only positive numeric rates keyed by upper-case currency code
+ * @param {Object} rates - Raw rates
+ * @returns {Object} Clean rates, always including USD = 1
+ */
+function cleanRates(rates) {
+    const clean = { USD: 1 };
+    Object.keys(rates || {}).forEach(currency => {
+        const value = parseFloat(rates[currency]);
+        if (value > 0) {
+            clean[currency.trim().toUpperCase()] = value;
+        }
+    });
+    return clean;
+}
+
+/**
+ * Create or update a rate snapshot. Snapshots without an ID are added as new ones.
+ * @param {Object} snapshot - The snapshot ({ id, asOf, rates, source })
+ * @returns {Object} The saved snapshot
+ */
+function saveRateSnapshot(snapshot) {
+    const snapshots = getRateSnapshots();
+    const existing = snapshots.find(s => s.id === snapshot.id);
+    const savedSnapshot = {
+        ...existing,
+        ...snapshot,
+        id: snapshot.id || FXRES.state.generateId(),
+        asOf: snapshot.asOf || new Date().toISOString().slice(0, 10),
+        source: snapshot.source || (existing && existing.source) || 'manual',
+        rates: cleanRates(snapshot.rates),
+        createdAt: (existing && existing.createdAt) || new Date().toISOString(),
+        lastUpdated: new Date().toISOString()
+    };
+    
+    saveRateSnapshots(existing
+        ? snapshots.map(s => (s.id === savedSnapshot.id ? savedSnapshot : s))
+        : [...snapshots, savedSnapshot]);
+    return savedSnapshot;
+}
+
+/**
+ * Delete a rate snapshot. The last remaining snapshot cannot be deleted.
+ * @param {string} snapshotId - The ID of the snapshot to delete
+ * @returns {boolean} Whether the snapshot was deleted
+ */
+function deleteRateSnapshot(snapshotId) {
+    const snapshots = getRateSnapshots();
+    const remaining = snapshots.filter(s => s.id !== snapshotId);
+    
+    if (remaining.length === snapshots.length || remaining.length === 0) {
+        return false;
+    }
+    return saveRateSnapshots(remaining);
+}
+
+/**
+ * Parse rate snapshots from CSV text. Rows are "currency,rate" with an optional
+ * date column; rows are grouped into one snapshot per date.
+ * @param {string} text - The CSV text
+ * @param {string} defaultAsOf - "As of" date for rows without a date
+ * @returns {Array} Parsed snapshots ({ asOf, rates }) without IDs
+ */
+function parseRatesCsv(text, defaultAsOf = new Date().toISOString().slice(0, 10)) {
+    const { headers, records } = FXRES.csv.parseRecords(text);
+    const find = name => headers.find(h => h.toLowerCase() === name);
+    const currencyHeader = find('currency') || headers[0];
+    const rateHeader = find('rate') || headers[1];
+    const dateHeader = find('date') || find('asof') || find('as of');
+    
+    const snapshotsByDate = {};
+    records.forEach(record => {
+        const asOf = (dateHeader && record[dateHeader]) ? record[dateHeader].slice(0, 10) : defaultAsOf;
+        const snapshot = snapshotsByDate[asOf] || (snapshotsByDate[asOf] = { asOf, rates: {} });
+        snapshot.rates[record[currencyHeader]] = record[rateHeader];
+    });
+    
+    return Object.values(snapshotsByDate).map(snapshot => ({
+        ...snapshot,
+        rates: cleanRates(snapshot.rates)
+    }));
+}
+
+/**
+ * Import rate snapshots from CSV text and save them
+ * @param {string} text - The CSV text
+ * @param {string} defaultAsOf - "As of" date for rows without a date
+ * @returns {Array} The saved snapshots
+ */
+function importRatesCsv(text, defaultAsOf) {
+    return parseRatesCsv(text, defaultAsOf)
+        .map(snapshot => saveRateSnapshot({ ...snapshot, source: 'csv' }));
+}
+
+// Export the rate store functions
+window.FXRES = window.FXRES || {};
+window.FXRES.rates = {
+    getSnapshots: getRateSnapshots,
+    getSnapshot: getRateSnapshot,
+    getLatestSnapshot: getLatestRateSnapshot,
+    getSnapshotForSimulation: getRateSnapshotForSimulation,
+    saveSnapshot: saveRateSnapshot,
+    deleteSnapshot: deleteRateSnapshot,
+    parseCsv: parseRatesCsv,
+    importCsv: importRatesCsv
+};
@@ -0,0 +1,283 @@
+/**
+ * FX Risk Exposure Simulator - Shareable Links
+ *
+ * This module packs a simulation into a link that opens its results read-only, including:
+ * - Bundling the simulation with its rate snapshot, stress scenarios and the settings its
+ *   results depend on (risk score weights, hedging policy, rate history) as an export envelope
+ * - Compressing the envelope into the URL fragment, so it never reaches a server
+ * - An ECDSA signature so corrupted or modified links are rejected
+ * - Reading a link back without touching the recipient's workspace
+ *
+ * Links look like "results.html#share=v1.<key>.<signature>.<data>", where data is the
+ * deflated envelope JSON in base64url, key is the sender's public key and signature is
+ * the ECDSA P-256 (SHA-256) signature of the data bytes. Each workspace signs with its
+ * own key pair, kept in localStorage; the recipient is shown the key's fingerprint so
+ * it can be checked with the sender, since anyone can sign a link with a key of their own.
+ */
+
+const SHARE_LINK_PARAM = 'share';
+const SHARE_LINK_VERSION = 'v1';
+const SHARE_SIGNING_KEY_STORAGE_KEY = 'fxresShareSigningKey';
+const SHARE_SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SHARE_SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Encode bytes as base64url (URL-safe, no padding)
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text to bytes
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ */
+async function transformBytes(bytes, stream) {
+    const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+    return new Uint8Array(buffer);
+}
+
+/**
+ * The Web Crypto API, which is only available on secure (https) pages
+ */
+function getSubtleCrypto() {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('Shared links need a secure (https) connection');
+    }
+    return window.crypto.subtle;
+}
+
+/**
+ * Load this workspace's signing key pair, creating it on first use
+ * @returns {Promise<Object>} { privateKey, publicKey } CryptoKeys
+ */
+async function getShareSigningKeyPair() {
+    const subtle = getSubtleCrypto();
+    
+    let stored = null;
+    try {
+        stored = JSON.parse(localStorage.getItem(SHARE_SIGNING_KEY_STORAGE_KEY));
+    } catch (error) {
+        console.error('Error loading the share signing key:', error);
+    }
+    if (stored && stored.privateKey && stored.publicKey) {
+        return {
+            privateKey: await subtle.importKey('jwk', stored.privateKey, SHARE_SIGNING_ALGORITHM, false, ['sign']),
+            publicKey: await subtle.importKey('jwk', stored.publicKey, SHARE_SIGNING_ALGORITHM, true, ['verify'])
+        };
+    }
+    
+    const keyPair = await subtle.generateKey(SHARE_SIGNING_ALGORITHM, true, ['sign', 'verify']);
+    localStorage.setItem(SHARE_SIGNING_KEY_STORAGE_KEY, JSON.stringify({
+        privateKey: await subtle.exportKey('jwk', keyPair.privateKey),
+        publicKey: await subtle.exportKey('jwk', keyPair.publicKey)
+    }));
+    return keyPair;
+}
+
+/**
+ * Fingerprint of a raw public key, for comparing keys by eye: the first 8 bytes of its
+ * SHA-256 digest in groups of four hex digits
+ */
+async function getKeyFingerprint(rawKey) {
+    const digest = new Uint8Array(await getSubtleCrypto().digest('SHA-256', rawKey));
+    const hex = Array.from(digest.slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+    return hex.match(/.{4}/g).join(' ');
+}
+
+/**
+ * Fingerprint of the key this workspace signs its shared links with
+ * @returns {Promise<string>} The fingerprint
+ */
+async function getShareSigningFingerprint() {
+    const { publicKey } = await getShareSigningKeyPair();
+    return getKeyFingerprint(new Uint8Array(await getSubtleCrypto().exportKey('raw', publicKey)));
+}
+
+/**
+ * Bundle a simulation with its rate snapshot, stress scenarios and settings in an
+ * export envelope, without reading or writing the workspace
+ * @param {Object} simulationData - The simulation
+ * @param {Object} rateSnapshot - The rate snapshot the results use
+ * @param {Object} settings - The settings the results were calculated with
+ * @param {Object} settings.riskScoreWeights - Risk score factor weights, or null for the defaults
+ * @param {Array} settings.policyRules - Hedging policy rules, or null for the default policy
+ * @param {Array} settings.rateHistory - Rate history records the calculation reads
+ * @returns {Object} The envelope
+ */
+function createShareEnvelope(simulationData, rateSnapshot, settings = {}) {
+    const { stressScenarios, ...simulation } = simulationData;
+    const id = simulation.id || FXRES.state.generateId();
+    
+    return {
+        format: FXRES.state.EXPORT_FORMAT,
+        schemaVersion: FXRES.state.EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        activeSimulationId: id,
+        simulations: [{ ...simulation, id, rateSnapshotId: rateSnapshot ? rateSnapshot.id : simulation.rateSnapshotId }],
+        rateSnapshots: rateSnapshot ? [rateSnapshot] : [],
+        scenarios: { [id]: stressScenarios === undefined ? null : stressScenarios },
+        settings: {
+            riskScoreWeights: settings.riskScoreWeights || null,
+            policyRules: settings.policyRules || null,
+            rateHistory: FXRES.simulation.selectRateHistory(settings.rateHistory || [], simulationData)
+        }
+    };
+}
+
+/**
+ * Create a shareable link to the results of a simulation, signed with this workspace's key
+ * @param {Object} simulationData - The simulation
+ * @param {Object} rateSnapshot - The rate snapshot the results use
+ * @param {Object} settings - The settings the results were calculated with (see createShareEnvelope)
+ * @param {string} baseUrl - The results page URL (defaults to the current page)
+ * @returns {Promise<string>} The link
+ */
+async function createShareLink(simulationData, rateSnapshot, settings = {}, baseUrl = window.location.href) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('This browser cannot create shared links');
+    }
+    
+    const subtle = getSubtleCrypto();
+    const json = JSON.stringify(createShareEnvelope(simulationData, rateSnapshot, settings));
+    const data = await transformBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+    const { privateKey, publicKey } = await getShareSigningKeyPair();
+    const signature = new Uint8Array(await subtle.sign(SHARE_SIGNATURE_ALGORITHM, privateKey, data));
+    const key = new Uint8Array(await subtle.exportKey('raw', publicKey));
+    return `${baseUrl.split('#')[0]}#${SHARE_LINK_PARAM}=${SHARE_LINK_VERSION}.${toBase64Url(key)}.${toBase64Url(signature)}.${toBase64Url(data)}`;
+}
+
+/**
+ * Keep the settings of a shared link that are well formed: they come from whoever
+ * made the link, so weights must be numbers, the policy must validate and rate
+ * history records must be dated, positive rates
+ */
+function readShareSettings(settings) {
+    const source = settings && typeof settings === 'object' ? settings : {};
+    
+    const weights = source.riskScoreWeights && typeof source.riskScoreWeights === 'object'
+        ? Object.keys(source.riskScoreWeights).reduce((acc, factor) => {
+            acc[factor] = Math.max(0, parseFloat(source.riskScoreWeights[factor]) || 0);
+            return acc;
+        }, {})
+        : null;
+    
+    let policyRules = null;
+    if (Array.isArray(source.policyRules)) {
+        const errors = FXRES.policy.validatePolicyRules(source.policyRules);
+        if (errors.length > 0) {
+            throw new Error(`The shared link has an invalid hedging policy: ${errors[0]}`);
+        }
+        policyRules = source.policyRules;
+    }
+    
+    const rateHistory = (Array.isArray(source.rateHistory) ? source.rateHistory : []).filter(record => record
+        && typeof record.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(record.date)
+        && typeof record.currency === 'string' && /^[A-Z]{3}$/.test(record.currency)
+        && typeof record.rate === 'number' && record.rate > 0 && isFinite(record.rate));
+    
+    return { riskScoreWeights: weights, policyRules, rateHistory };
+}
+
+/**
+ * Read a shared link from a URL fragment. The link is rejected if its signature does
+ * not match (it is corrupted or was modified after signing) or the envelope does not
+ * validate.
+ * @param {string} hash - The URL fragment (window.location.hash)
+ * @returns {Promise<Object|null>} { envelope, simulationData, rateSnapshot, settings, signer }
+ *   where settings are as for createShareEnvelope and signer is the signing key's
+ *   fingerprint, or null if the fragment is not a shared link
+ */
+async function readShareLink(hash) {
+    const prefix = `#${SHARE_LINK_PARAM}=`;
+    if (!hash || !hash.startsWith(prefix)) {
+        return null;
+    }
+    
+    const [version, encodedKey, encodedSignature, encoded] = hash.slice(prefix.length).split('.');
+    if (version !== SHARE_LINK_VERSION) {
+        throw new Error(`Unsupported shared link version "${version}"`);
+    }
+    if (!encodedKey || !encodedSignature || !encoded) {
+        throw new Error('The shared link is incomplete');
+    }
+    
+    const subtle = getSubtleCrypto();
+    let data, rawKey, publicKey, signature;
+    try {
+        data = fromBase64Url(encoded);
+        rawKey = fromBase64Url(encodedKey);
+        signature = fromBase64Url(encodedSignature);
+        publicKey = await subtle.importKey('raw', rawKey, SHARE_SIGNING_ALGORITHM, false, ['verify']);
+    } catch (error) {
+        throw new Error('The shared link is corrupted');
+    }
+    if (!await subtle.verify(SHARE_SIGNATURE_ALGORITHM, publicKey, signature, data)) {
+        throw new Error('The shared link is corrupted or has been modified (signature mismatch)');
+    }
+    
+    let json;
+    try {
+        json = new TextDecoder().decode(await transformBytes(data, new DecompressionStream('deflate-raw')));
+    } catch (error) {
+        throw new Error('The shared link is corrupted');
+    }
+    
+    const { valid, errors, envelope } = FXRES.state.readExportEnvelope(json);
+    if (!valid || envelope.simulations.length !== 1) {
+        throw new Error(`The shared link does not contain a valid simulation${errors.length ? `: ${errors[0]}` : ''}`);
+    }
+    
+    const simulation = envelope.simulations[0];
+    const scenarios = envelope.scenarios[simulation.id];
+    return {
+        envelope: envelope,
+        simulationData: {
+            ...FXRES.state.DEFAULT_SIMULATION,
+            ...simulation,
+            stressScenarios: scenarios === undefined ? null : scenarios
+        },
+        rateSnapshot: envelope.rateSnapshots.find(s => s.id === simulation.rateSnapshotId)
+            || envelope.rateSnapshots[0]
+            || null,
+        settings: readShareSettings(envelope.settings),
+        signer: await getKeyFingerprint(rawKey)
+    };
+}
+
+/**
+ * Import a shared simulation into the workspace and make it the active one. The
+ * sender's settings are not imported; the workspace keeps its own.
+ * @param {Object} envelope - The envelope from readShareLink
+ * @returns {Object|null} The imported simulation, or null if the import failed
+ */
+function importSharedSimulation(envelope) {
+    const result = FXRES.state.importExportEnvelope(envelope, { mode: 'merge' });
+    if (!result.valid || result.simulations.length === 0) {
+        console.error('Error importing shared simulation:', result.errors);
+        return null;
+    }
+    return FXRES.state.openSimulation(result.simulations[0].id);
+}
+
+// Export the shared link functions
+window.FXRES = window.FXRES || {};
+window.FXRES.share = {
+    createEnvelope: createShareEnvelope,
+    createLink: createShareLink,
+    readLink: readShareLink,
+    getSigningFingerprint: getShareSigningFingerprint,
+    importSimulation: importSharedSimulation
+};
@@ -2,10 +2,11 @@
  * FX Risk Exposure Simulator - Simulation Engine
  * 
  * This module handles the core simulation logic for calculating FX risk exposure,
- * including risk scores, value at risk (VaR), and other key metrics.
+ * including risk scores, value at risk (VaR), Monte Carlo simulation and other key metrics.
  */
 
-// Sample exchange rates (in a real app, these would come from an API)
+// Default exchange rates in USD per unit of currency, used when no rate snapshot is supplied.
+// Users maintain dated snapshots of these rates in the rate store (rates.js).
 const EXCHANGE_RATES = {
     'USD': 1.0,
     'EUR': 1.08,    // 1 EUR = 1.08 USD
@@ -14,10 +15,22 @@ const EXCHANGE_RATES = {
     'AUD': 0.65,    // 1 AUD = 0.65 USD
     'CAD': 0.75,    // 1 CAD = 0.75 USD
     'CHF': 1.10,    // 1 CHF = 1.10 USD
-    'CNY': 0.14     // 1 CNY = 0.14 USD
+    'CNY': 0.14,    // 1 CNY = 0.14 USD
+    'HKD': 0.128,   // 1 HKD = 0.128 USD
+    'SGD': 0.74,    // 1 SGD = 0.74 USD
+    'SEK': 0.095,   // 1 SEK = 0.095 USD
+    'NZD': 0.60,    // 1 NZD = 0.60 USD
+    'MXN': 0.058,   // 1 MXN = 0.058 USD
+    'NOK': 0.094,   // 1 NOK = 0.094 USD
+    'KRW': 0.00075, // 1 KRW = 0.00075 USD
+    'INR': 0.012,   // 1 INR = 0.012 USD
+    'BRL': 0.20,    // 1 BRL = 0.20 USD
+    'ZAR': 0.054,   // 1 ZAR = 0.054 USD
+    'RUB': 0.011,   // 1 RUB = 0.011 USD
+    'TRY': 0.031    // 1 TRY = 0.031 USD
 };
 
-// Volatility factors (annualized %)
+// Annualized volatilities of the exposure volatility slider, the fallback when a pair has no volatility of its own
 const VOLATILITY_FACTORS = {
     1: 0.05,  // Very low volatility
     2: 0.10,  // Low volatility
@@ -26,6 +39,159 @@ const VOLATILITY_FACTORS = {
     5: 0.40   // Very high volatility
 };
 
+// Where an exposure's volatility comes from, in order of preference: the pair's own
+// volatility (entered, implied, or estimated from rate history), market data, then
+// the exposure's volatility slider
+const VOLATILITY_SOURCES = {
+    direct: 'Entered',
+    implied: 'Implied',
+    ewma: 'EWMA',
+    garch: 'GARCH(1,1)',
+    'market-data': 'Market data',
+    slider: 'Volatility setting',
+    cross: 'Cross of legs'
+};
+
+// RiskMetrics decay factor for EWMA volatility
+const EWMA_LAMBDA = 0.94;
+
+// Fewest daily returns each estimator needs before its volatility is used
+const VOLATILITY_MIN_OBSERVATIONS = { ewma: 20, garch: 100 };
+
+// Default correlations between currency returns (measured against USD), keyed by "AAA/BBB".
+// Users can override individual pairs per simulation; pairs not listed use DEFAULT_CROSS_CORRELATION.
+// Together with DEFAULT_CROSS_CORRELATION these form a positive definite matrix across all the
+// currencies in EXCHANGE_RATES, so any subset is consistent; keep it so when changing a value.
+const DEFAULT_CORRELATIONS = {
+    'EUR/GBP': 0.65, 'EUR/CHF': 0.80, 'EUR/JPY': 0.45, 'EUR/AUD': 0.55, 'EUR/CAD': 0.45,
+    'EUR/SEK': 0.80, 'EUR/NOK': 0.70, 'EUR/NZD': 0.55, 'EUR/CNY': 0.40, 'EUR/SGD': 0.55,
+    'GBP/CHF': 0.55, 'GBP/JPY': 0.30, 'GBP/AUD': 0.55, 'GBP/CAD': 0.50, 'GBP/NZD': 0.55,
+    'GBP/SEK': 0.60, 'GBP/NOK': 0.60,
+    'JPY/CHF': 0.55, 'JPY/AUD': 0.15, 'JPY/CAD': 0.10, 'JPY/NZD': 0.15, 'JPY/SGD': 0.40,
+    'AUD/NZD': 0.75, 'AUD/CAD': 0.65, 'AUD/NOK': 0.50, 'AUD/CNY': 0.45, 'AUD/SGD': 0.55,
+    'AUD/KRW': 0.55, 'AUD/ZAR': 0.50,
+    'CAD/NOK': 0.60, 'CAD/MXN': 0.50, 'CAD/NZD': 0.60,
+    'CHF/SEK': 0.65, 'CHF/NOK': 0.55,
+    'SEK/NOK': 0.75,
+    'CNY/HKD': 0.35, 'CNY/SGD': 0.60, 'CNY/KRW': 0.55,
+    'HKD/SGD': 0.20, 'SGD/KRW': 0.60, 'KRW/INR': 0.45, 'SGD/INR': 0.45,
+    'MXN/BRL': 0.60, 'MXN/ZAR': 0.60, 'BRL/ZAR': 0.55,
+    'ZAR/TRY': 0.40, 'RUB/NOK': 0.45, 'RUB/TRY': 0.30
+};
+
+// Correlation assumed for currency pairs not listed in DEFAULT_CORRELATIONS
+const DEFAULT_CROSS_CORRELATION = 0.3;
+
+// Confidence levels VaR is reported at, and the default for the headline figure
+const VAR_CONFIDENCE_LEVELS = [0.90, 0.95, 0.99, 0.995];
+const DEFAULT_CONFIDENCE_LEVEL = 0.95;
+
+// Monte Carlo simulation defaults
+const MONTE_CARLO_DEFAULTS = {
+    paths: 5000,
+    seed: 12345,
+    confidenceLevels: VAR_CONFIDENCE_LEVELS,
+    histogramBins: 40
+};
+
+// Trading days per year, used to scale annualized volatilities
+const TRADING_DAYS_PER_YEAR = 252;
+
+// Default lookback window for historical simulation (daily observations)
+const HISTORICAL_LOOKBACK_DAYS = 250;
+
+// Built-in library of historical stress episodes. Shocks are approximate moves of each
+// currency against USD over the episode (0.10 = appreciated 10%); currencies not listed
+// move by defaultShock. Users copy and edit these in the simulation's scenario editor.
+const HISTORICAL_STRESS_SCENARIOS = [
+    {
+        id: 'gfc-2008',
+        name: '2008 Global Financial Crisis',
+        description: 'Flight to USD and JPY after the Lehman collapse (Aug-Nov 2008)',
+        source: 'historical',
+        defaultShock: -0.15,
+        shocks: {
+            EUR: -0.22, GBP: -0.27, JPY: 0.20, AUD: -0.35, CAD: -0.23, CHF: -0.05, CNY: 0.005,
+            HKD: 0, SGD: -0.08, SEK: -0.30, NZD: -0.35, MXN: -0.30, NOK: -0.30, KRW: -0.35,
+            INR: -0.20, BRL: -0.38, ZAR: -0.35, RUB: -0.25, TRY: -0.30
+        }
+    },
+    {
+        id: 'chf-depeg-2015',
+        name: 'CHF De-peg 2015',
+        description: 'Swiss National Bank abandons the EUR/CHF 1.20 floor (15 Jan 2015)',
+        source: 'historical',
+        defaultShock: 0,
+        shocks: { CHF: 0.17, EUR: -0.02, JPY: 0.01, SEK: -0.01, NOK: -0.01 }
+    },
+    {
+        id: 'brexit-2016',
+        name: 'Brexit Referendum 2016',
+        description: 'UK votes to leave the EU (23-27 Jun 2016)',
+        source: 'historical',
+        defaultShock: -0.01,
+        shocks: {
+            GBP: -0.11, EUR: -0.03, JPY: 0.04, CHF: -0.01, AUD: -0.02, CAD: -0.01, SEK: -0.04,
+            NOK: -0.02, MXN: -0.04, ZAR: -0.05, KRW: -0.02, TRY: -0.02, HKD: 0, CNY: -0.005
+        }
+    },
+    {
+        id: 'usd-rally-2022',
+        name: '2022 USD Rally',
+        description: 'Broad USD strength on Fed tightening (Jan-Sep 2022)',
+        source: 'historical',
+        defaultShock: -0.10,
+        shocks: {
+            EUR: -0.15, GBP: -0.20, JPY: -0.25, AUD: -0.12, CAD: -0.07, CHF: -0.05, CNY: -0.11,
+            HKD: -0.005, SGD: -0.07, SEK: -0.22, NZD: -0.17, MXN: 0.02, NOK: -0.13, KRW: -0.17,
+            INR: -0.08, BRL: 0.05, ZAR: -0.15, RUB: 0.20, TRY: -0.28
+        }
+    }
+];
+
+// Tenor buckets for the exposure ladder. Each bucket's VaR uses its own horizon;
+// exposures without a settlement date use the simulation's time horizon.
+const TENOR_BUCKETS = [
+    { id: '0-30', label: '0-30 days', maxDays: 30, horizonDays: 30 },
+    { id: '31-90', label: '31-90 days', maxDays: 90, horizonDays: 90 },
+    { id: '91-180', label: '91-180 days', maxDays: 180, horizonDays: 180 },
+    { id: '181-365', label: '181-365 days', maxDays: 365, horizonDays: 365 },
+    { id: '365+', label: 'Over 1 year', maxDays: Infinity, horizonDays: 730 }
+];
+
+// Recurring cash-flow schedules: step between settlements
+const RECURRENCE_FREQUENCIES = {
+    weekly: { days: 7 },
+    monthly: { months: 1 },
+    quarterly: { months: 3 },
+    semiannual: { months: 6 },
+    annual: { months: 12 }
+};
+
+// Factors of the exposure risk score. Each is measured from 0 (no risk) to 1 (full
+// risk); the score is 1 plus 9 times the weighted average of the measures.
+const RISK_SCORE_FACTORS = {
+    volatility: { label: 'Volatility', description: 'Annual volatility of the pair, relative to 40%' },
+    size: { label: 'Size', description: 'Share of the gross portfolio exposure; 50% or more counts in full' },
+    concentration: { label: 'Concentration', description: 'Share of the gross portfolio exposure in the same risk currency' },
+    tenor: { label: 'Tenor', description: 'Average time to settlement; a year or more counts in full' },
+    unhedged: { label: 'Unhedged share', description: 'Share of the exposure that is not hedged' },
+    mismatch: { label: 'Currency mismatch', description: 'Whether the risk currency differs from the base currency' }
+};
+
+// Default factor weights; workspaces can override them
+const DEFAULT_RISK_SCORE_WEIGHTS = {
+    volatility: 30,
+    size: 15,
+    concentration: 15,
+    tenor: 10,
+    unhedged: 25,
+    mismatch: 5
+};
+
+// Score points added per risk appetite step below moderate (3); a higher appetite subtracts them
+const RISK_APPETITE_SCORE_STEP = 0.5;
+
 // Risk level thresholds
 const RISK_THRESHOLDS = {
     LOW: 0.1,       // 0-10% of total exposure
@@ -37,59 +203,255 @@ const RISK_THRESHOLDS = {
 /**
  * Calculate simulation results based on input data
  * @param {Object} simulationData - The simulation input data
- * @returns {Object} Processed simulation results
+ * @param {Object} options - Calculation options
+ * @param {Object} options.rateSnapshot - Rate snapshot ({ id, asOf, rates }) to convert with; defaults to EXCHANGE_RATES
+ * @param {Array} options.rateHistory - Daily rate history ({ date, currency, rate }), required by the historical VaR method
+ *   and used to estimate the pair volatilities set to 'ewma' or 'garch' in simulationData.pairVolatilities
+ * @param {Object} options.volatilities - Annualized volatilities from a market data provider, keyed by "AAA/BBB";
+ *   used instead of the exposure's volatility slider where the pair is available
+ * @param {string} options.valuationDate - Date hedge instruments are valued at (YYYY-MM-DD); defaults to today
+ * @param {Object} options.riskScoreWeights - Risk score factor weights, keyed like DEFAULT_RISK_SCORE_WEIGHTS
+ * @returns {Object} Processed simulation results. Each exposure carries its signed position in its
+ *   risk currency, so EUR/USD and USD/EUR exposures offset when positions are netted, and the
+ *   factor-by-factor breakdown of its risk score. varValue is at the simulation's confidenceLevel;
+ *   varByConfidence repeats it at each of its reportConfidenceLevels, and varAssumptions lists
+ *   what the figures assume.
  */
-function calculateSimulationResults(simulationData) {
+function calculateSimulationResults(simulationData, options = {}) {
     const { exposures, baseCurrency, riskAppetite, timeHorizon } = simulationData;
+    const varMethod = simulationData.varMethod || 'parametric';
+    const confidenceLevel = normalizeConfidenceLevel(simulationData.confidenceLevel);
+    const reportConfidenceLevels = [...new Set((simulationData.reportConfidenceLevels || VAR_CONFIDENCE_LEVELS)
+        .map(normalizeConfidenceLevel)
+        .concat(confidenceLevel))]
+        .sort((a, b) => a - b);
+    const rates = (options.rateSnapshot && options.rateSnapshot.rates) || options.rates || EXCHANGE_RATES;
+    const valuationDate = options.valuationDate || new Date().toISOString().slice(0, 10);
+    const warnings = [];
+    const pairVolatilities = {};
     
     // Process each exposure
     const processedExposures = exposures.map(exposure => {
         const fromCurrency = exposure.currencyPair.from;
         const toCurrency = exposure.currencyPair.to;
-        const amount = parseFloat(exposure.amount) || 0;
-        const isHedged = exposure.isHedged || false;
+        const direction = exposure.direction === 'payable' ? 'payable' : 'receivable';
+        const entity = (exposure.entity || '').trim();
         const volatilityFactor = exposure.volatilityFactor || 3;
         
-        // Convert to base currency
-        const baseAmount = convertToBaseCurrency(amount, fromCurrency, baseCurrency);
+        // Expand the settlement schedule; payables are negative, settled cash flows drop out
+        const cashFlows = expandCashFlows(exposure, valuationDate);
+        const amount = cashFlows.reduce((sum, flow) => sum + flow.amount, 0);
+        if (cashFlows.length === 0) {
+            warnings.push({
+                type: 'settled-exposure',
+                message: `The ${fromCurrency}/${toCurrency} ${direction} settled before ${valuationDate} and is excluded.`
+            });
+        }
+        
+        // Convert to base currency, flagging missing rates instead of guessing
+        // Both currencies of the pair need a rate, as the quote currency is a leg of its own
+        const missingCurrencies = [fromCurrency, toCurrency, baseCurrency].filter(c => getExchangeRate(c, rates) === null);
+        const rateMissing = missingCurrencies.length > 0;
+        const baseAmount = rateMissing ? 0 : convertToBaseCurrency(amount, fromCurrency, baseCurrency, rates);
+        if (rateMissing) {
+            addMissingRateWarning(warnings, [...new Set(missingCurrencies)]);
+        }
+        
+        // A pair quoted from the base currency (USD/EUR in a USD book) is short its quote currency
+        const riskSign = fromCurrency === baseCurrency && toCurrency !== baseCurrency ? -1 : 1;
+        const riskCurrency = riskSign < 0 ? toCurrency : fromCurrency;
+        
+        // Use each leg's own volatility, then market data, then the volatility slider
+        const legVolatility = currency => {
+            const pair = `${currency}/${baseCurrency}`;
+            if (!(pair in pairVolatilities)) {
+                pairVolatilities[pair] = resolvePairVolatility(currency, baseCurrency, simulationData, options, warnings);
+            }
+            return pairVolatilities[pair] || {
+                volatility: VOLATILITY_FACTORS[volatilityFactor] || 0.15,
+                source: 'slider',
+                detail: `Volatility setting ${volatilityFactor} of 5`
+            };
+        };
+        
+        // Split the exposure into its currency legs against the base currency
+        const legs = getCurrencyLegs(fromCurrency, toCurrency, baseCurrency).map(leg => {
+            const legVol = legVolatility(leg.currency);
+            return {
+                ...leg,
+                rate: rateMissing ? 0 : convertToBaseCurrency(1, leg.currency, baseCurrency, rates),
+                volatility: legVol.volatility,
+                volatilitySource: legVol.source,
+                volatilityDetail: legVol.detail
+            };
+        });
+        const pairVolatility = legs.length > 1
+            ? getCrossVolatility(legs[0], legs[1], simulationData.correlationOverrides)
+            : { volatility: legs[0].volatility, source: legs[0].volatilitySource, detail: legs[0].volatilityDetail };
+        const volatility = pairVolatility.volatility;
         
-        // Calculate risk score (1-10 scale)
-        const riskScore = calculateRiskScore(amount, fromCurrency, baseCurrency, isHedged, volatilityFactor, riskAppetite);
+        // Value the hedge instruments against the pair's spot rate, triangulated through USD
+        const spot = rateMissing ? 0 : convertToBaseCurrency(1, fromCurrency, toCurrency, rates);
+        const quoteToBase = rateMissing ? 0 : convertToBaseCurrency(1, toCurrency, baseCurrency, rates);
+        const hedging = valueHedges(exposure, amount, {
+            spot: spot,
+            quoteToBase: quoteToBase,
+            volatility: volatility,
+            valuationDate: valuationDate,
+            defaultYears: (timeHorizon || 30) / 365
+        });
+        const residualAmount = amount + hedging.delta;
+        const hedgeRatio = amount !== 0 ? -hedging.delta / amount : 0;
+        const residualBaseEquivalent = amount !== 0 ? baseAmount * residualAmount / amount : 0;
         
         return {
             currencyPair: `${fromCurrency}/${toCurrency}`,
+            fromCurrency: fromCurrency,
+            toCurrency: toCurrency,
+            direction: direction,
+            entity: entity,
+            riskCurrency: riskCurrency,
+            riskSign: riskSign,
+            legs: legs,
             amount: amount,
             baseEquivalent: baseAmount,
-            isHedged: isHedged,
+            position: riskSign * baseAmount,
+            residualPosition: riskSign * residualBaseEquivalent,
+            rateMissing: rateMissing,
+            cashFlows: cashFlows.map(flow => ({
+                ...flow,
+                baseEquivalent: amount !== 0 ? baseAmount * flow.amount / amount : 0
+            })),
+            spot: spot,
+            quoteToBase: quoteToBase,
+            hedges: hedging.hedges,
+            hedgeRatio: hedgeRatio,
+            hedgedAmount: -hedging.delta,
+            residualAmount: residualAmount,
+            residualBaseEquivalent: residualBaseEquivalent,
+            hedgeCost: hedging.cost,
             volatilityFactor: volatilityFactor,
-            riskScore: riskScore,
-            riskLevel: getRiskLevel(riskScore)
+            volatility: volatility,
+            volatilitySource: pairVolatility.source,
+            volatilityDetail: pairVolatility.detail
         };
     });
     
-    // Calculate summary metrics
-    const totalExposure = processedExposures.reduce((sum, exp) => sum + exp.baseEquivalent, 0);
-    const hedgedExposure = processedExposures
-        .filter(exp => exp.isHedged)
-        .reduce((sum, exp) => sum + exp.baseEquivalent, 0);
-    const unhedgedExposure = totalExposure - hedgedExposure;
-    
-    // Calculate Value at Risk (VaR) - simplified calculation
-    const varValue = calculateVaR(processedExposures, baseCurrency, riskAppetite, timeHorizon);
-    
-    // Group by currency pair for the chart
-    const currencyExposures = processedExposures.reduce((acc, exp) => {
-        const existing = acc.find(item => item.currencyPair === exp.currencyPair);
-        if (existing) {
-            existing.amount += exp.baseEquivalent;
-        } else {
-            acc.push({
-                currencyPair: exp.currencyPair,
-                amount: exp.baseEquivalent
+    // Calculate summary metrics (gross of receivables and payables, plus the net position)
+    const totalExposure = processedExposures.reduce((sum, exp) => sum + Math.abs(exp.baseEquivalent), 0);
+    const netExposure = processedExposures.reduce((sum, exp) => sum + exp.position, 0);
+    const unhedgedExposure = processedExposures.reduce((sum, exp) => sum + Math.abs(exp.residualBaseEquivalent), 0);
+    const hedgedExposure = totalExposure - unhedgedExposure;
+    const hedgeCost = processedExposures.reduce((sum, exp) => sum + exp.hedgeCost, 0);
+    
+    // Calculate Value at Risk (VaR) with correlations between currencies
+    const correlationOverrides = simulationData.correlationOverrides || {};
+    const riskCurrencies = buildRiskFactors(processedExposures, baseCurrency).map(f => f.currency);
+    if (checkCorrelations(riskCurrencies, correlationOverrides).repaired) {
+        warnings.push({
+            type: 'correlation-matrix',
+            message: `The correlations between ${riskCurrencies.join(', ')} are inconsistent (the matrix is not positive semidefinite) and were adjusted to the nearest consistent matrix.`
+        });
+    }
+    const parametricVaR = calculateVaR(processedExposures, baseCurrency, confidenceLevel, timeHorizon, correlationOverrides);
+    const undiversifiedVaR = calculateUndiversifiedVaR(processedExposures, baseCurrency, confidenceLevel, timeHorizon);
+    
+    // Historical simulation VaR, falling back to parametric when there is not enough history
+    let historicalVaR = null;
+    if (varMethod === 'historical') {
+        historicalVaR = calculateHistoricalVaR(processedExposures, baseCurrency, options.rateHistory || [], {
+            confidenceLevel: confidenceLevel,
+            timeHorizon: timeHorizon,
+            lookbackDays: simulationData.historicalLookbackDays
+        });
+        
+        if (historicalVaR.observations < 2) {
+            const missing = historicalVaR.missingCurrencies.length > 0
+                ? ` (no history for ${historicalVaR.missingCurrencies.join(', ')})`
+                : '';
+            warnings.push({
+                type: 'historical-data',
+                message: `Not enough rate history for historical VaR${missing}. Parametric VaR is shown instead.`
             });
+            historicalVaR = null;
         }
-        return acc;
-    }, []);
+    }
+    const varValue = historicalVaR ? historicalVaR.valueAtRisk : parametricVaR;
+    
+    // The same VaR at each reported confidence level
+    const varByConfidence = reportConfidenceLevels.map(level => {
+        const parametric = calculateVaR(processedExposures, baseCurrency, level, timeHorizon, correlationOverrides);
+        const historical = historicalVaR ? calculateTailRisk(historicalVaR.pnlDistribution, level).valueAtRisk : null;
+        return {
+            confidenceLevel: level,
+            varValue: historical !== null ? historical : parametric,
+            parametricVaR: parametric,
+            historicalVaR: historical
+        };
+    });
+    
+    // Each leg's position and its standalone VaR, net of hedges
+    processedExposures.forEach(exp => {
+        exp.legs = exp.legs.map(leg => ({
+            ...leg,
+            position: leg.share * exp.position,
+            residualPosition: leg.share * exp.residualPosition,
+            valueAtRisk: calculateVaR([{ ...exp, legs: [leg] }], baseCurrency, confidenceLevel, timeHorizon)
+        }));
+    });
+    
+    // Split the parametric VaR into the contributions of each exposure and currency
+    const varContributions = calculateVaRContributions(processedExposures, baseCurrency, confidenceLevel, timeHorizon, correlationOverrides);
+    processedExposures.forEach((exp, index) => {
+        const contribution = varContributions.exposures[index];
+        exp.componentVaR = contribution.componentVaR;
+        exp.marginalVaR = contribution.marginalVaR;
+        exp.incrementalVaR = contribution.incrementalVaR;
+        exp.legs = exp.legs.map((leg, legIndex) => ({ ...leg, componentVaR: contribution.legComponentVaR[legIndex] || 0 }));
+    });
+    
+    // Net exposure and VaR by currency and tenor
+    const exposureLadder = buildExposureLadder(processedExposures, baseCurrency, {
+        confidenceLevel: confidenceLevel,
+        timeHorizon: timeHorizon,
+        correlationOverrides: correlationOverrides
+    });
+    
+    // Stress tests, when enabled for the simulation
+    const stressTests = simulationData.includeStressTests === false
+        ? null
+        : calculateStressTestResults(processedExposures, baseCurrency, generateStressScenarios(simulationData));
+    const reverseStressTest = simulationData.includeStressTests !== false && parseFloat(simulationData.reverseStressLoss) > 0
+        ? calculateReverseStressTest(processedExposures, baseCurrency, simulationData.reverseStressLoss, { timeHorizon: timeHorizon })
+        : null;
+    
+    // Net the positions by currency, and by legal entity and currency
+    const currencyExposures = netPositions(processedExposures, baseCurrency);
+    
+    // Score each exposure (1-10) against the rest of the portfolio
+    processedExposures.forEach(exp => {
+        const measures = getRiskScoreMeasures(exp, {
+            baseCurrency: baseCurrency,
+            totalExposure: totalExposure,
+            currencyExposures: currencyExposures,
+            timeHorizon: timeHorizon
+        });
+        const scoring = calculateRiskScore(measures, options.riskScoreWeights, riskAppetite);
+        exp.riskScore = scoring.score;
+        exp.riskLevel = getRiskLevel(scoring.score);
+        exp.riskFactors = scoring.factors;
+    });
+    const entityExposures = [...new Set(processedExposures.map(exp => exp.entity))].sort().map(entity => {
+        const entityPositions = processedExposures.filter(exp => exp.entity === entity);
+        const currencies = netPositions(entityPositions, baseCurrency);
+        return {
+            entity: entity,
+            currencies: currencies,
+            grossExposure: currencies.reduce((sum, item) => sum + item.gross, 0),
+            netExposure: currencies.reduce((sum, item) => sum + item.amount, 0),
+            valueAtRisk: calculateVaR(entityPositions, baseCurrency, confidenceLevel, timeHorizon, correlationOverrides)
+        };
+    });
     
     // Calculate risk distribution
     const riskDistribution = processedExposures.reduce((acc, exp) => {
@@ -107,33 +469,295 @@ function calculateSimulationResults(simulationData) {
         simulationName: simulationData.simulationName || 'FX Risk Analysis',
         baseCurrency: baseCurrency,
         totalExposure: totalExposure,
+        netExposure: netExposure,
         hedgedExposure: hedgedExposure,
         unhedgedExposure: unhedgedExposure,
+        hedgeCost: hedgeCost,
+        valuationDate: valuationDate,
         varValue: varValue,
+        varMethod: historicalVaR ? 'historical' : 'parametric',
+        confidenceLevel: confidenceLevel,
+        varByConfidence: varByConfidence,
+        varAssumptions: describeVaRAssumptions(processedExposures, {
+            varMethod: historicalVaR ? 'historical' : 'parametric',
+            requestedMethod: varMethod,
+            confidenceLevel: confidenceLevel,
+            timeHorizon: timeHorizon,
+            correlationOverrides: correlationOverrides,
+            historicalVaR: historicalVaR
+        }),
+        parametricVaR: parametricVaR,
+        historicalVaR: historicalVaR,
+        undiversifiedVaR: undiversifiedVaR,
+        diversificationBenefit: undiversifiedVaR - parametricVaR,
+        varContributions: {
+            valueAtRisk: varContributions.valueAtRisk,
+            currencies: varContributions.currencies
+        },
+        correlationOverrides: correlationOverrides,
         riskAppetite: riskAppetite,
         timeHorizon: timeHorizon,
         currencyExposures: currencyExposures,
+        entityExposures: entityExposures,
         riskDistribution: riskDistribution,
         exposureDetails: processedExposures,
         highRiskExposureCount: highRiskExposureCount,
+        exposureLadder: exposureLadder,
+        stressTests: stressTests,
+        reverseStressTest: reverseStressTest,
+        rateSnapshotId: options.rateSnapshot ? options.rateSnapshot.id : null,
+        ratesAsOf: options.rateSnapshot ? options.rateSnapshot.asOf : null,
+        warnings: warnings,
         timestamp: new Date().toISOString()
     };
 }
 
+/**
+ * Whether a value is a calendar date written as YYYY-MM-DD
+ */
+function isIsoDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Add calendar months to an ISO date, keeping the day of month where possible
+ */
+function addMonths(isoDate, months) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Expand an exposure into its cash flows. A recurring exposure settles its amount
+ * on each date of the schedule; flows before the valuation date have settled and
+ * are dropped. Exposures without a valid YYYY-MM-DD settlement date are a single
+ * undated flow.
+ * @param {Object} exposure - The stored exposure ({ amount, direction, settlementDate, recurrence })
+ * @param {string} valuationDate - The valuation date (YYYY-MM-DD)
+ * @returns {Array} Cash flows ({ date, days, amount }), amounts negative for payables
+ */
+function expandCashFlows(exposure, valuationDate) {
+    const sign = exposure.direction === 'payable' ? -1 : 1;
+    const amount = (parseFloat(exposure.amount) || 0) * sign;
+    const recurrence = exposure.recurrence || {};
+    const step = RECURRENCE_FREQUENCIES[recurrence.frequency];
+    const occurrences = step ? Math.max(1, parseInt(recurrence.occurrences, 10) || 1) : 1;
+    
+    if (!isIsoDate(exposure.settlementDate)) {
+        return [{ date: null, days: null, amount: amount * occurrences }];
+    }
+    
+    const flows = [];
+    for (let i = 0; i < occurrences; i++) {
+        const date = !step ? exposure.settlementDate
+            : step.months ? addMonths(exposure.settlementDate, step.months * i)
+            : new Date(new Date(`${exposure.settlementDate}T00:00:00Z`).getTime() + step.days * i * 86400000).toISOString().slice(0, 10);
+        const days = Math.round((new Date(date) - new Date(valuationDate)) / 86400000);
+        
+        if (days >= 0) {
+            flows.push({ date: date, days: days, amount: amount });
+        }
+    }
+    return flows;
+}
+
+/**
+ * Split a currency pair into its legs against the base currency. A cross pair
+ * (EUR/JPY in a USD book) is long its base currency and short its quote currency;
+ * legs in the base currency carry no FX risk and are left out.
+ * @param {string} fromCurrency - The pair's base currency
+ * @param {string} toCurrency - The pair's quote currency
+ * @param {string} baseCurrency - The reporting base currency
+ * @returns {Array} Legs ({ currency, share }); share is the leg's position per unit of the
+ *   exposure's position
+ */
+function getCurrencyLegs(fromCurrency, toCurrency, baseCurrency) {
+    if (fromCurrency === baseCurrency && toCurrency !== baseCurrency) {
+        return [{ currency: toCurrency, share: 1 }];
+    }
+    if (toCurrency === baseCurrency || toCurrency === fromCurrency) {
+        return [{ currency: fromCurrency, share: 1 }];
+    }
+    return [
+        { currency: fromCurrency, share: 1 },
+        { currency: toCurrency, share: -1 }
+    ];
+}
+
+/**
+ * Volatility of a cross pair from the volatilities of its two legs against the base
+ * currency and the correlation between them
+ * @param {Object} longLeg - The pair's base currency leg ({ currency, volatility })
+ * @param {Object} shortLeg - The pair's quote currency leg ({ currency, volatility })
+ * @param {Object} correlationOverrides - Correlation overrides keyed by "AAA/BBB"
+ * @returns {Object} { volatility, source: 'cross', detail }
+ */
+function getCrossVolatility(longLeg, shortLeg, correlationOverrides) {
+    const correlation = getCorrelation(longLeg.currency, shortLeg.currency, correlationOverrides);
+    const variance = longLeg.volatility * longLeg.volatility + shortLeg.volatility * shortLeg.volatility
+        - 2 * correlation * longLeg.volatility * shortLeg.volatility;
+    return {
+        volatility: Math.sqrt(Math.max(0, variance)),
+        source: 'cross',
+        detail: `From the ${longLeg.currency} (${(longLeg.volatility * 100).toFixed(1)}%) and ${shortLeg.currency} (${(shortLeg.volatility * 100).toFixed(1)}%) legs, correlation ${correlation.toFixed(2)}`
+    };
+}
+
+/**
+ * The FX risk legs of an exposure with their positions in the base currency, gross and
+ * net of hedges. Exposures processed before legs were recorded count as a single leg.
+ * @param {Object} exp - A processed exposure (or ladder flow) from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @returns {Array} Legs ({ currency, share, volatility, position, residualPosition, ... })
+ */
+function getRiskLegs(exp, baseCurrency) {
+    const legs = exp.legs || [{ currency: exp.riskCurrency || exp.fromCurrency, share: 1 }];
+    const position = exp.position !== undefined ? exp.position : exp.baseEquivalent;
+    const residual = exp.residualPosition !== undefined ? exp.residualPosition
+        : exp.residualBaseEquivalent !== undefined ? exp.residualBaseEquivalent : exp.baseEquivalent;
+    
+    return legs
+        .filter(leg => leg.currency !== baseCurrency)
+        .map(leg => ({
+            ...leg,
+            volatility: leg.volatility || exp.volatility || VOLATILITY_FACTORS[exp.volatilityFactor] || 0.15,
+            position: leg.share * position,
+            residualPosition: leg.share * residual
+        }));
+}
+
+/**
+ * Net signed positions by risk currency, keeping the long and short sides for a
+ * gross view. A cross pair counts in both of its currencies; exposures already in the
+ * base currency carry no FX risk and are left out.
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @returns {Array} Per currency ({ currency, long, short, gross, amount, residual }), largest first;
+ *   amount is the net position in the base currency
+ */
+function netPositions(exposures, baseCurrency) {
+    const positions = [];
+    
+    exposures.forEach(exp => {
+        getRiskLegs(exp, baseCurrency).forEach(leg => {
+            let item = positions.find(p => p.currency === leg.currency);
+            if (!item) {
+                item = { currency: leg.currency, long: 0, short: 0, gross: 0, amount: 0, residual: 0 };
+                positions.push(item);
+            }
+            
+            item.long += Math.max(0, leg.position);
+            item.short += Math.min(0, leg.position);
+            item.gross += Math.abs(leg.position);
+            item.amount += leg.position;
+            item.residual += leg.residualPosition;
+        });
+    });
+    
+    return positions.sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+}
+
+/**
+ * Find the tenor bucket for a number of days to settlement
+ * @param {number|null} days - Days to settlement, or null for undated exposures
+ * @returns {Object} The bucket, or an "Undated" bucket
+ */
+function getTenorBucket(days) {
+    if (days === null || days === undefined) {
+        return { id: 'undated', label: 'Undated', maxDays: null, horizonDays: null };
+    }
+    return TENOR_BUCKETS.find(bucket => days <= bucket.maxDays);
+}
+
+/**
+ * Bucket net exposure by currency and tenor, with VaR per bucket over the bucket's
+ * own horizon. Hedges are spread over an exposure's cash flows pro rata.
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @param {Object} options - Options ({ confidenceLevel, timeHorizon, correlationOverrides })
+ * @returns {Array} Buckets with exposure ({ id, label, horizonDays, currencies, netExposure,
+ *   grossExposure, residualExposure, valueAtRisk }); currencies maps code to net base amount
+ */
+function buildExposureLadder(exposures, baseCurrency, options = {}) {
+    const buckets = [...TENOR_BUCKETS, getTenorBucket(null)].map(bucket => ({
+        ...bucket,
+        horizonDays: bucket.horizonDays || options.timeHorizon || 30,
+        flows: []
+    }));
+    
+    exposures.forEach(exp => {
+        const residualShare = exp.baseEquivalent !== 0 ? exp.residualBaseEquivalent / exp.baseEquivalent : 0;
+        const riskSign = exp.riskSign || 1;
+        (exp.cashFlows || []).forEach(flow => {
+            const bucketId = getTenorBucket(flow.days).id;
+            buckets.find(b => b.id === bucketId).flows.push({
+                ...exp,
+                baseEquivalent: flow.baseEquivalent,
+                residualBaseEquivalent: flow.baseEquivalent * residualShare,
+                position: riskSign * flow.baseEquivalent,
+                residualPosition: riskSign * flow.baseEquivalent * residualShare
+            });
+        });
+    });
+    
+    return buckets
+        .filter(bucket => bucket.flows.length > 0)
+        .map(({ flows, ...bucket }) => {
+            const currencies = {};
+            flows.forEach(flow => {
+                // A cross pair nets into both of its currencies; base currency flows keep their own column
+                const legs = getRiskLegs(flow, baseCurrency);
+                (legs.length > 0 ? legs : [{ currency: flow.riskCurrency, position: flow.position }]).forEach(leg => {
+                    currencies[leg.currency] = (currencies[leg.currency] || 0) + leg.position;
+                });
+            });
+            
+            return {
+                ...bucket,
+                currencies: currencies,
+                netExposure: flows.reduce((sum, flow) => sum + flow.position, 0),
+                grossExposure: flows.reduce((sum, flow) => sum + Math.abs(flow.position), 0),
+                residualExposure: flows.reduce((sum, flow) => sum + flow.residualPosition, 0),
+                valueAtRisk: calculateVaR(flows, baseCurrency, options.confidenceLevel, bucket.horizonDays, options.correlationOverrides)
+            };
+        });
+}
+
+/**
+ * Look up the USD rate of a currency
+ * @param {string} currency - Currency code
+ * @param {Object} rates - Rates in USD per unit of currency
+ * @returns {number|null} The rate, or null if the currency has no usable rate
+ */
+function getExchangeRate(currency, rates = EXCHANGE_RATES) {
+    if (currency === 'USD') return 1;
+    
+    const rate = parseFloat(rates[currency]);
+    return rate > 0 ? rate : null;
+}
+
 /**
  * Convert amount from one currency to another
  * @param {number} amount - Amount to convert
  * @param {string} fromCurrency - Source currency code
  * @param {string} toCurrency - Target currency code
- * @returns {number} Converted amount
+ * @param {Object} rates - Rates in USD per unit of currency (defaults to EXCHANGE_RATES)
+ * @returns {number|null} Converted amount, or null if either currency has no rate
  */
-function convertToBaseCurrency(amount, fromCurrency, toCurrency) {
+function convertToBaseCurrency(amount, fromCurrency, toCurrency, rates = EXCHANGE_RATES) {
     // If same currency, no conversion needed
     if (fromCurrency === toCurrency) return amount;
     
-    // Convert to USD first if needed
-    const fromRate = EXCHANGE_RATES[fromCurrency] || 1;
-    const toRate = EXCHANGE_RATES[toCurrency] || 1;
+    const fromRate = getExchangeRate(fromCurrency, rates);
+    const toRate = getExchangeRate(toCurrency, rates);
+    if (fromRate === null || toRate === null) return null;
     
     // Convert via USD as base
     const usdAmount = amount * fromRate;
@@ -141,32 +765,303 @@ function convertToBaseCurrency(amount, fromCurrency, toCurrency) {
 }
 
 /**
- * Calculate risk score for an exposure (1-10 scale)
+ * Look up a provider volatility for a currency against the base currency
+ * @param {string} currency - Currency code
+ * @param {string} baseCurrency - The base currency code
+ * @param {Object} volatilities - Annualized volatilities keyed by "AAA/BBB" (either order)
+ * @returns {number|null} The volatility, or null if the provider has none for the pair
+ */
+function getMarketVolatility(currency, baseCurrency, volatilities) {
+    if (!volatilities) return null;
+    
+    const direct = volatilities[`${currency}/${baseCurrency}`];
+    const volatility = parseFloat(direct !== undefined ? direct : volatilities[`${baseCurrency}/${currency}`]);
+    return volatility > 0 ? volatility : null;
+}
+
+/**
+ * Resolve the volatility of a currency against the base currency from the simulation's
+ * pair volatilities, falling back to market data. Estimates that lack rate history
+ * fall back too, with a warning.
+ * @param {string} currency - The risk currency
+ * @param {string} baseCurrency - The base currency code
+ * @param {Object} simulationData - The simulation (pairVolatilities, historicalLookbackDays, timeHorizon)
+ * @param {Object} options - Calculation options (volatilities, rateHistory)
+ * @param {Array} warnings - Warnings to add to
+ * @returns {Object|null} { volatility, source, detail }, or null to use the volatility slider
+ */
+function resolvePairVolatility(currency, baseCurrency, simulationData, options, warnings) {
+    const pair = `${currency}/${baseCurrency}`;
+    const settings = simulationData.pairVolatilities || {};
+    const setting = settings[pair] || settings[`${baseCurrency}/${currency}`];
+    
+    if (setting && currency !== baseCurrency) {
+        const method = setting.method;
+        const value = parseFloat(setting.volatility);
+        if ((method === 'direct' || method === 'implied') && value > 0) {
+            return {
+                volatility: value > 1 ? value / 100 : value,
+                source: method,
+                detail: method === 'implied' ? `Implied volatility for ${pair}` : `Entered for ${pair}`
+            };
+        }
+        
+        if (method === 'ewma' || method === 'garch') {
+            const estimate = estimatePairVolatility(options.rateHistory || [], currency, baseCurrency, method, {
+                lookbackDays: simulationData.historicalLookbackDays,
+                timeHorizon: simulationData.timeHorizon
+            });
+            if (estimate) {
+                return {
+                    volatility: estimate.volatility,
+                    source: method,
+                    detail: method === 'ewma'
+                        ? `EWMA (λ = ${EWMA_LAMBDA}) over ${estimate.observations} daily returns`
+                        : `GARCH(1,1) over ${estimate.observations} daily returns (α ${estimate.alpha.toFixed(2)}, β ${estimate.beta.toFixed(2)}), ${simulationData.timeHorizon || 1}-day forecast`
+                };
+            }
+            warnings.push({
+                type: 'volatility-estimate',
+                message: `Not enough rate history to estimate the ${pair} volatility by ${VOLATILITY_SOURCES[method]} (at least ${VOLATILITY_MIN_OBSERVATIONS[method]} daily returns are needed). Market data or the volatility setting is used instead.`
+            });
+        }
+    }
+    
+    const marketVolatility = getMarketVolatility(currency, baseCurrency, options.volatilities);
+    return marketVolatility !== null
+        ? { volatility: marketVolatility, source: 'market-data', detail: 'From market data' }
+        : null;
+}
+
+/**
+ * Record a warning for currencies without an exchange rate, once per currency
+ */
+function addMissingRateWarning(warnings, currencies) {
+    currencies.forEach(currency => {
+        if (warnings.some(w => w.type === 'missing-rate' && w.currency === currency)) return;
+        
+        warnings.push({
+            type: 'missing-rate',
+            currency: currency,
+            message: `No exchange rate for ${currency}. Exposures in ${currency} are excluded from the totals until a rate is added.`
+        });
+    });
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * (Abramowitz and Stegun approximation, accurate to about 1e-7)
+ */
+function normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const density = 0.3989422804014327 * Math.exp(-x * x / 2);
+    const tail = density * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return x > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Years from the valuation date to a date (0 if the date has passed)
+ * @param {string} date - The date (YYYY-MM-DD)
+ * @param {string} valuationDate - The valuation date (YYYY-MM-DD)
+ * @param {number} defaultYears - Returned when the date is missing or invalid
  */
-function calculateRiskScore(amount, fromCurrency, baseCurrency, isHedged, volatilityFactor, riskAppetite) {
-    // Base score based on volatility (1-5)
-    let score = volatilityFactor;
+function getYearFraction(date, valuationDate, defaultYears) {
+    const days = (new Date(date) - new Date(valuationDate)) / 86400000;
+    return isNaN(days) ? defaultYears : Math.max(0, days / 365);
+}
+
+/**
+ * Value a vanilla FX option per unit of notional (Black-Scholes with equal interest
+ * rates in both currencies), in the quote currency of the pair
+ * @param {string} optionType - 'call' or 'put' on the exposure currency
+ * @param {number} spot - Spot rate of the pair
+ * @param {number} strike - Strike rate
+ * @param {number} volatility - Annualized volatility
+ * @param {number} years - Time to expiry in years
+ * @returns {Object} { price, delta }
+ */
+function valueFxOption(optionType, spot, strike, volatility, years) {
+    const isCall = optionType === 'call';
     
-    // Increase risk for unhedged positions
-    if (!isHedged) {
-        score += 2; // Add 2 points for unhedged positions
+    if (!(spot > 0) || !(strike > 0) || !(volatility > 0) || !(years > 0)) {
+        const intrinsic = Math.max(0, isCall ? spot - strike : strike - spot);
+        const inTheMoney = intrinsic > 0 ? 1 : 0;
+        return { price: intrinsic, delta: isCall ? inTheMoney : -inTheMoney };
     }
     
-    // Adjust for currency risk (if different from base currency)
-    if (fromCurrency !== baseCurrency) {
-        // Higher risk for more volatile currency pairs
-        const volatility = VOLATILITY_FACTORS[volatilityFactor] || 0.15;
-        score += Math.min(3, Math.round(volatility * 10)); // Add up to 3 points for currency risk
+    const deviation = volatility * Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + deviation * deviation / 2) / deviation;
+    const d2 = d1 - deviation;
+    
+    return isCall
+        ? { price: spot * normalCdf(d1) - strike * normalCdf(d2), delta: normalCdf(d1) }
+        : { price: strike * normalCdf(-d2) - spot * normalCdf(-d1), delta: normalCdf(d1) - 1 };
+}
+
+/**
+ * Value the hedges of an exposure: its hedge ratio (a hedge at spot without instrument
+ * details) and its forwards and bought options. Each hedge is reduced to a delta, its
+ * sensitivity in units of the exposure currency, and a cost in the base currency:
+ * option premiums and the forward points of forwards struck away from spot.
+ * @param {Object} exposure - The stored exposure ({ hedgeRatio, hedges })
+ * @param {number} amount - The exposure amount
+ * @param {Object} market - Valuation inputs ({ spot, quoteToBase, volatility, valuationDate, defaultYears })
+ * @returns {Object} { hedges, delta, cost }
+ */
+function valueHedges(exposure, amount, market) {
+    const hedges = [];
+    
+    // Hedge ratio without instrument details; legacy isHedged counts as a full hedge
+    const ratio = Math.max(0, Math.min(1, parseFloat(exposure.hedgeRatio !== undefined
+        ? exposure.hedgeRatio
+        : (exposure.isHedged ? 1 : 0)) || 0));
+    if (ratio > 0) {
+        hedges.push({ type: 'ratio', ratio: ratio, notional: amount * ratio, delta: -amount * ratio, cost: 0 });
     }
     
-    // Normalize to 1-10 scale
-    score = Math.max(1, Math.min(10, score));
+    (exposure.hedges || []).forEach(hedge => {
+        const notional = Math.abs(parseFloat(hedge.notional)) || 0;
+        
+        if (hedge.type === 'option') {
+            const optionType = hedge.optionType === 'call' ? 'call' : 'put';
+            const strike = parseFloat(hedge.strike) || market.spot;
+            const years = getYearFraction(hedge.expiry, market.valuationDate, market.defaultYears);
+            const option = valueFxOption(optionType, market.spot, strike, market.volatility, years);
+            
+            hedges.push({
+                ...hedge,
+                optionType: optionType,
+                notional: notional,
+                strike: strike,
+                years: years,
+                delta: notional * option.delta,
+                marketValue: notional * option.price * market.quoteToBase,
+                cost: parseFloat(hedge.premium) || 0
+            });
+        } else {
+            // Forwards sell the exposure currency unless marked as bought
+            const sign = hedge.direction === 'buy' ? 1 : -1;
+            const rate = parseFloat(hedge.rate) || market.spot;
+            
+            hedges.push({
+                ...hedge,
+                type: 'forward',
+                direction: sign > 0 ? 'buy' : 'sell',
+                notional: notional,
+                rate: rate,
+                delta: sign * notional,
+                cost: sign * (rate - market.spot) * notional * market.quoteToBase
+            });
+        }
+    });
+    
+    return {
+        hedges: hedges,
+        delta: hedges.reduce((sum, h) => sum + h.delta, 0),
+        cost: hedges.reduce((sum, h) => sum + h.cost, 0)
+    };
+}
+
+/**
+ * Profit or loss of an exposure's hedges, in the base currency, when the pair's two
+ * currencies move by relative changes against the base currency. Options are
+ * revalued in full rather than through their delta.
+ * @param {Object} exposure - A processed exposure from calculateSimulationResults
+ * @param {number} fromChange - Relative change of the pair's base currency (e.g. -0.1)
+ * @param {number} toChange - Relative change of the pair's quote currency
+ * @returns {number} The hedge P&L
+ */
+function calculateHedgePnl(exposure, fromChange, toChange = 0) {
+    const unitValue = exposure.amount !== 0 ? exposure.baseEquivalent / exposure.amount : 0;
+    
+    // The cross rate moves by the ratio of the legs' moves; the quote currency revalues the payoff
+    const spotAfter = exposure.spot * (1 + fromChange) / (1 + toChange);
+    const quoteToBaseAfter = exposure.quoteToBase * (1 + toChange);
+    
+    return (exposure.hedges || []).reduce((sum, hedge) => {
+        if (hedge.type !== 'option') {
+            return sum + hedge.delta * unitValue * (fromChange - toChange);
+        }
+        
+        const before = valueFxOption(hedge.optionType, exposure.spot, hedge.strike, exposure.volatility, hedge.years).price;
+        const after = valueFxOption(hedge.optionType, spotAfter, hedge.strike, exposure.volatility, hedge.years).price;
+        return sum + hedge.notional * (after * quoteToBaseAfter - before * exposure.quoteToBase);
+    }, 0);
+}
+
+/**
+ * Measure the risk score factors of an exposure, each from 0 to 1
+ * @param {Object} exposure - A processed exposure from calculateSimulationResults
+ * @param {Object} portfolio - { baseCurrency, totalExposure, currencyExposures, timeHorizon }
+ * @returns {Object} Measures keyed like RISK_SCORE_FACTORS
+ */
+function getRiskScoreMeasures(exposure, portfolio) {
+    const clamp = value => Math.max(0, Math.min(1, Number(value) || 0));
+    const legCurrencies = getRiskLegs(exposure, portfolio.baseCurrency).map(leg => leg.currency);
+    const hasFxRisk = legCurrencies.length > 0;
+    const gross = Math.abs(exposure.baseEquivalent);
+    
+    // A cross pair is as concentrated as the more crowded of its two currencies
+    const currencyGross = portfolio.currencyExposures
+        .filter(item => legCurrencies.includes(item.currency))
+        .reduce((max, item) => Math.max(max, item.gross), 0);
+    
+    // Amount-weighted days to settlement; undated flows settle at the simulation horizon
+    const flows = exposure.cashFlows || [];
+    const flowTotal = flows.reduce((sum, flow) => sum + Math.abs(flow.amount), 0);
+    const tenorDays = flowTotal > 0
+        ? flows.reduce((sum, flow) => sum + Math.abs(flow.amount) * (flow.days === null ? (portfolio.timeHorizon || 30) : flow.days), 0) / flowTotal
+        : 0;
+    
+    return {
+        volatility: hasFxRisk ? clamp(exposure.volatility / VOLATILITY_FACTORS[5]) : 0,
+        size: portfolio.totalExposure > 0 ? clamp(2 * gross / portfolio.totalExposure) : 0,
+        concentration: hasFxRisk && portfolio.totalExposure > 0 ? clamp(currencyGross / portfolio.totalExposure) : 0,
+        tenor: hasFxRisk ? clamp(tenorDays / 365) : 0,
+        unhedged: hasFxRisk && exposure.amount !== 0 ? 1 - clamp(exposure.hedgeRatio) : 0,
+        mismatch: hasFxRisk ? 1 : 0
+    };
+}
+
+/**
+ * Calculate the risk score of an exposure (1-10 scale) as a weighted average of its
+ * factor measures, adjusted for the risk appetite (a lower appetite raises the score)
+ * @param {Object} measures - Factor measures from getRiskScoreMeasures
+ * @param {Object} weights - Factor weights; missing factors use DEFAULT_RISK_SCORE_WEIGHTS
+ * @param {number} riskAppetite - Risk appetite (1-5)
+ * @returns {Object} { score, factors } where factors break the score down into the points
+ *   of each factor ({ factor, label, weight, measure, points }) and of the risk appetite
+ */
+function calculateRiskScore(measures, weights, riskAppetite = 3) {
+    const resolved = { ...DEFAULT_RISK_SCORE_WEIGHTS };
+    Object.keys(weights || {}).forEach(factor => {
+        const weight = parseFloat(weights[factor]);
+        if (RISK_SCORE_FACTORS[factor] && weight >= 0) {
+            resolved[factor] = weight;
+        }
+    });
+    const totalWeight = Object.keys(RISK_SCORE_FACTORS).reduce((sum, factor) => sum + resolved[factor], 0);
     
-    // Adjust based on risk appetite (lower appetite = higher perceived risk)
-    const appetiteFactor = (5 - riskAppetite) * 0.5; // -1 to 1
-    score = Math.max(1, Math.min(10, score + appetiteFactor));
+    const factors = Object.keys(RISK_SCORE_FACTORS).map(factor => ({
+        factor: factor,
+        label: RISK_SCORE_FACTORS[factor].label,
+        weight: resolved[factor],
+        measure: measures[factor] || 0,
+        points: totalWeight > 0 ? 9 * resolved[factor] * (measures[factor] || 0) / totalWeight : 0
+    }));
+    factors.push({
+        factor: 'appetite',
+        label: 'Risk appetite',
+        weight: null,
+        measure: null,
+        points: (3 - (riskAppetite || 3)) * RISK_APPETITE_SCORE_STEP
+    });
     
-    return Math.round(score);
+    const score = 1 + factors.reduce((sum, item) => sum + item.points, 0);
+    return {
+        score: Math.round(Math.max(1, Math.min(10, score))),
+        factors: factors
+    };
 }
 
 /**
@@ -180,97 +1075,1079 @@ function getRiskLevel(riskScore) {
 }
 
 /**
- * Calculate Value at Risk (VaR) using variance-covariance method (simplified)
+ * Calculate Value at Risk (VaR) using the variance-covariance method.
+ * Portfolio volatility is sqrt(wᵀΣw) over the currency risk factors, so
+ * diversification between currencies reduces the total.
+ * @param {number} confidenceLevel - Confidence level, e.g. 0.95
  */
-function calculateVaR(exposures, baseCurrency, confidenceLevel, timeHorizonDays) {
-    // Simplified VaR calculation
-    // In a real application, this would use historical data and more sophisticated models
+function calculateVaR(exposures, baseCurrency, confidenceLevel, timeHorizonDays, correlationOverrides = {}) {
+    const factors = buildRiskFactors(exposures, baseCurrency);
+    const portfolioVolatility = calculatePortfolioVolatility(factors, correlationOverrides);
     
-    // Calculate portfolio value
-    const portfolioValue = exposures.reduce((sum, exp) => {
-        return sum + exp.baseEquivalent;
-    }, 0);
-    
-    if (portfolioValue <= 0) return 0;
+    return getZScore(confidenceLevel) * portfolioVolatility * getTimeFactor(timeHorizonDays);
+}
+
+/**
+ * Break the parametric VaR down by exposure and by currency:
+ * - component VaR: the Euler allocation of VaR, position times marginal VaR; the
+ *   components add up to the total VaR
+ * - marginal VaR: VaR added per unit of base currency the position grows in its
+ *   own direction
+ * - incremental VaR: how much VaR falls when the position is removed
+ * Cross pairs contribute through each of their currency legs. Marginal and component
+ * VaR use the volatility of each currency's risk factor.
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @param {number} confidenceLevel - Confidence level (e.g. 0.95)
+ * @param {number} timeHorizonDays - Time horizon in days
+ * @param {Object} correlationOverrides - Correlation overrides keyed by "AAA/BBB"
+ * @returns {Object} { valueAtRisk, exposures, currencies }; exposures follow the input order
+ *   ({ componentVaR, legComponentVaR, marginalVaR, incrementalVaR }), currencies are largest
+ *   contribution first
+ *   ({ currency, position, componentVaR, marginalVaR, incrementalVaR, share })
+ */
+function calculateVaRContributions(exposures, baseCurrency, confidenceLevel, timeHorizonDays, correlationOverrides = {}) {
+    const factors = buildRiskFactors(exposures, baseCurrency);
+    const correlationMatrix = buildCorrelationMatrix(factors, correlationOverrides);
+    const scale = getZScore(confidenceLevel) * getTimeFactor(timeHorizonDays);
+    const portfolioVolatility = calculatePortfolioVolatility(factors, correlationOverrides);
+    const valueAtRisk = scale * portfolioVolatility;
     
-    // Calculate weighted average volatility
-    let portfolioVolatility = 0;
-    exposures.forEach(exp => {
-        const weight = exp.baseEquivalent / portfolioValue;
-        const volatility = VOLATILITY_FACTORS[exp.volatilityFactor] || 0.15;
-        portfolioVolatility += weight * volatility;
+    // VaR per unit of long position in each currency: the scaled covariance with the portfolio
+    const marginal = {};
+    factors.forEach((factor, i) => {
+        const covariance = factors.reduce((sum, other, j) =>
+            sum + factor.volatility * correlationMatrix[i][j] * other.volatility * other.position, 0);
+        marginal[factor.currency] = portfolioVolatility > 0 ? scale * covariance / portfolioVolatility : 0;
     });
+    const direction = position => position < 0 ? -1 : 1;
     
-    // Z-score for confidence level (simplified)
-    const zScore = {
-        1: 1.28, // 90%
-        2: 1.65, // 95%
-        3: 2.33, // 99%
-        4: 2.58  // 99.5%
-    }[confidenceLevel] || 1.96; // Default to 95%
-    
-    // Time horizon adjustment (square root of time rule)
-    const timeFactor = Math.sqrt(timeHorizonDays / 252); // 252 trading days in a year
+    const exposureContributions = exposures.map((exp, index) => {
+        const legs = getRiskLegs(exp, baseCurrency);
+        const unitMarginal = legs.reduce((sum, leg) => sum + leg.share * marginal[leg.currency], 0);
+        const position = exp.position !== undefined ? exp.position : exp.baseEquivalent;
+        const others = exposures.filter((other, j) => j !== index);
+        const legComponentVaR = legs.map(leg => leg.residualPosition * marginal[leg.currency]);
+        return {
+            componentVaR: legComponentVaR.reduce((sum, value) => sum + value, 0),
+            legComponentVaR: legComponentVaR,
+            marginalVaR: direction(position) * unitMarginal,
+            incrementalVaR: legs.length > 0
+                ? valueAtRisk - calculateVaR(others, baseCurrency, confidenceLevel, timeHorizonDays, correlationOverrides)
+                : 0
+        };
+    });
     
-    // Calculate VaR
-    const varValue = portfolioValue * zScore * portfolioVolatility * timeFactor;
+    const currencyContributions = factors.map(factor => {
+        const componentVaR = factor.position * marginal[factor.currency];
+        const others = factors.filter(other => other.currency !== factor.currency);
+        return {
+            currency: factor.currency,
+            position: factor.position,
+            componentVaR: componentVaR,
+            marginalVaR: direction(factor.position) * marginal[factor.currency],
+            incrementalVaR: valueAtRisk - scale * calculatePortfolioVolatility(others, correlationOverrides),
+            share: valueAtRisk > 0 ? componentVaR / valueAtRisk : 0
+        };
+    });
     
-    return varValue;
+    return {
+        valueAtRisk: valueAtRisk,
+        exposures: exposureContributions,
+        currencies: currencyContributions.sort((a, b) => b.componentVaR - a.componentVaR)
+    };
 }
 
 /**
- * Generate stress test scenarios
+ * Calculate VaR as if all currencies were perfectly correlated (the sum of
+ * stand-alone VaRs), used to measure the diversification benefit
  */
-function generateStressScenarios(exposures, baseCurrency) {
-    // In a real application, this would generate various stress test scenarios
-    // such as historical crises, parallel shifts, etc.
+function calculateUndiversifiedVaR(exposures, baseCurrency, confidenceLevel, timeHorizonDays) {
+    const factors = buildRiskFactors(exposures, baseCurrency);
+    const standaloneVolatility = factors.reduce((sum, f) => sum + Math.abs(f.position) * f.volatility, 0);
     
-    return [
-        {
-            name: '2008 Financial Crisis',
-            description: 'Simulates currency movements similar to the 2008 financial crisis',
-            impact: 'High',
-            change: -0.15 // 15% depreciation
-        },
-        {
-            name: 'Strong USD',
-            description: 'Simulates a scenario where USD strengthens by 10% against all currencies',
-            impact: 'Medium',
-            change: -0.10
-        },
-        {
-            name: 'Market Correction',
-            description: 'Simulates a moderate market correction',
-            impact: 'Low',
-            change: -0.05
-        }
-    ];
+    return getZScore(confidenceLevel) * standaloneVolatility * getTimeFactor(timeHorizonDays);
 }
 
 /**
- * Calculate stress test results
+ * Read a confidence level as a probability (0.95), accepting percentages (95);
+ * anything else falls back to DEFAULT_CONFIDENCE_LEVEL
  */
-function calculateStressTestResults(exposures, baseCurrency, scenarios) {
-    return scenarios.map(scenario => {
-        let totalImpact = 0;
-        
-        const exposureImpacts = exposures.map(exp => {
-            // Skip if exposure is in base currency
-            if (exp.currencyPair.endsWith(baseCurrency)) {
-                return {
-                    ...exp,
+function normalizeConfidenceLevel(confidenceLevel) {
+    let level = parseFloat(confidenceLevel);
+    if (level > 1 && level < 100) {
+        level /= 100;
+    }
+    return level >= 0.5 && level < 1 ? level : DEFAULT_CONFIDENCE_LEVEL;
+}
+
+/**
+ * Label a confidence level as a percentage, e.g. "99.5%"
+ */
+function formatConfidenceLevel(confidenceLevel) {
+    return `${+(normalizeConfidenceLevel(confidenceLevel) * 100).toFixed(2)}%`;
+}
+
+/**
+ * One-sided z-score of the standard normal distribution for a confidence level
+ * (inverse normal CDF, Acklam's rational approximation, accurate to about 1e-9)
+ * @param {number} confidenceLevel - Confidence level, e.g. 0.99 or 99
+ */
+function getZScore(confidenceLevel) {
+    const p = normalizeConfidenceLevel(confidenceLevel);
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    
+    if (p <= 0.97575) {
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+            / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+        / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+}
+
+/**
+ * List the assumptions behind a VaR figure, for display next to it
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {Object} options - { varMethod, requestedMethod, confidenceLevel, timeHorizon, correlationOverrides, historicalVaR }
+ * @returns {Array} Assumptions ({ label, value })
+ */
+function describeVaRAssumptions(exposures, options) {
+    const fxExposures = exposures.filter(exp => exp.riskCurrency !== undefined && exp.volatility !== undefined);
+    const sourceCounts = fxExposures.reduce((acc, exp) => {
+        const label = VOLATILITY_SOURCES[exp.volatilitySource] || exp.volatilitySource;
+        acc[label] = (acc[label] || 0) + 1;
+        return acc;
+    }, {});
+    const overrides = Object.keys(options.correlationOverrides || {}).length;
+    const assumptions = [
+        {
+            label: 'Method',
+            value: options.varMethod === 'historical'
+                ? 'Historical simulation of daily rate moves'
+                : `Parametric (variance-covariance, normally distributed returns)${options.requestedMethod === 'historical' ? '; historical was requested but there is not enough rate history' : ''}`
+        },
+        { label: 'Confidence level', value: `${formatConfidenceLevel(options.confidenceLevel)} one-sided` },
+        { label: 'Time horizon', value: `${options.timeHorizon} days, scaled from annual volatility by the square root of time (${TRADING_DAYS_PER_YEAR} trading days a year)` }
+    ];
+    
+    if (options.varMethod === 'historical') {
+        const history = options.historicalVaR;
+        assumptions.push({
+            label: 'Rate history',
+            value: `${history.observations} daily observations${history.firstDate ? ` from ${history.firstDate} to ${history.lastDate}` : ''} (lookback ${history.lookbackDays} days)`
+        });
+    } else {
+        assumptions.push({
+            label: 'Volatility',
+            value: Object.keys(sourceCounts).map(label => `${label}: ${sourceCounts[label]} of ${fxExposures.length} exposures`).join('; ') || 'No exposures'
+        });
+        assumptions.push({
+            label: 'Correlations',
+            value: `Default currency correlations${overrides > 0 ? ` with ${overrides} override${overrides === 1 ? '' : 's'}` : ''}`
+        });
+    }
+    assumptions.push({ label: 'Positions', value: 'Net of hedges, options counted at their delta' });
+    return assumptions;
+}
+
+/**
+ * Time horizon adjustment (square root of time rule)
+ */
+function getTimeFactor(timeHorizonDays) {
+    return Math.sqrt(timeHorizonDays / TRADING_DAYS_PER_YEAR);
+}
+
+/**
+ * Group exposures into risk factors, one per currency other than the base currency;
+ * a cross pair contributes a position to the factor of each of its two currencies.
+ * Positions are net of hedges, with options counted through their delta.
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @returns {Array} Risk factors ({ currency, position, volatility }), position in base currency
+ */
+function buildRiskFactors(exposures, baseCurrency) {
+    const factors = [];
+    
+    // Each currency leg is a position in its own risk factor; base currency legs carry no FX risk
+    exposures.forEach(exp => {
+        getRiskLegs(exp, baseCurrency).forEach(leg => {
+            let factor = factors.find(f => f.currency === leg.currency);
+            if (!factor) {
+                factor = { currency: leg.currency, position: 0, volatility: 0, weight: 0 };
+                factors.push(factor);
+            }
+            
+            // Position-weighted average of the legs' volatilities; long and short positions net
+            const weight = Math.abs(leg.residualPosition);
+            factor.volatility = factor.weight + weight > 0
+                ? (factor.volatility * factor.weight + leg.volatility * weight) / (factor.weight + weight)
+                : leg.volatility;
+            factor.weight += weight;
+            factor.position += leg.residualPosition;
+        });
+    });
+    
+    return factors.map(({ currency, position, volatility }) => ({ currency, position, volatility }));
+}
+
+/**
+ * Look up the correlation between two currencies, preferring per-simulation overrides
+ * over the shipped defaults
+ * @param {string} currencyA - First currency code
+ * @param {string} currencyB - Second currency code
+ * @param {Object} correlationOverrides - Overrides keyed by "AAA/BBB" in either order
+ * @returns {number} The correlation coefficient
+ */
+function getCorrelation(currencyA, currencyB, correlationOverrides = {}) {
+    if (currencyA === currencyB) return 1;
+    
+    const keys = [`${currencyA}/${currencyB}`, `${currencyB}/${currencyA}`];
+    for (const source of [correlationOverrides || {}, DEFAULT_CORRELATIONS]) {
+        for (const key of keys) {
+            if (typeof source[key] === 'number' && !isNaN(source[key])) {
+                return Math.max(-1, Math.min(1, source[key]));
+            }
+        }
+    }
+    
+    return DEFAULT_CROSS_CORRELATION;
+}
+
+// Repaired correlation matrices by currencies and overrides, as repairs are costly
+const correlationMatrixCache = new Map();
+
+/**
+ * Build the correlation matrix between risk factors. Inconsistent correlations
+ * (a matrix that is not positive semidefinite) are repaired to the nearest valid
+ * correlation matrix; see checkCorrelations.
+ * @param {Array} factors - Risk factors from buildRiskFactors
+ * @param {Object} correlationOverrides - Correlation overrides keyed by "AAA/BBB"
+ * @returns {Array<Array<number>>} The correlation matrix
+ */
+function buildCorrelationMatrix(factors, correlationOverrides = {}) {
+    return checkCorrelations(factors.map(f => f.currency), correlationOverrides).matrix;
+}
+
+/**
+ * Check that the correlations between currencies are consistent, repairing them when
+ * they are not. Results are cached per set of currencies and overrides.
+ * @param {Array<string>} currencies - Currency codes
+ * @param {Object} correlationOverrides - Correlation overrides keyed by "AAA/BBB"
+ * @returns {Object} { matrix, repaired, minEigenvalue } as from repairCorrelationMatrix
+ */
+function checkCorrelations(currencies, correlationOverrides = {}) {
+    const key = `${currencies.join(',')}|${JSON.stringify(correlationOverrides || {})}`;
+    if (!correlationMatrixCache.has(key)) {
+        if (correlationMatrixCache.size >= 200) {
+            correlationMatrixCache.clear();
+        }
+        correlationMatrixCache.set(key, repairCorrelationMatrix(
+            currencies.map(a => currencies.map(b => getCorrelation(a, b, correlationOverrides)))
+        ));
+    }
+    return correlationMatrixCache.get(key);
+}
+
+/**
+ * Repair a correlation matrix that is not positive semidefinite by clipping its
+ * negative eigenvalues and rescaling to a unit diagonal. Valid matrices are
+ * returned unchanged.
+ * @param {Array<Array<number>>} matrix - Symmetric matrix with a unit diagonal
+ * @returns {Object} { matrix, repaired, minEigenvalue }
+ */
+function repairCorrelationMatrix(matrix) {
+    if (tryCholesky(matrix)) {
+        return { matrix: matrix, repaired: false, minEigenvalue: null };
+    }
+    
+    const { values, vectors } = symmetricEigen(matrix);
+    const n = matrix.length;
+    const clipped = values.map(value => Math.max(value, 1e-8));
+    const rebuilt = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) =>
+        vectors.reduce((sum, vector, k) => sum + vector[i] * clipped[k] * vector[j], 0)));
+    const scale = rebuilt.map((row, i) => Math.sqrt(row[i]));
+    
+    return {
+        matrix: rebuilt.map((row, i) => row.map((value, j) => i === j ? 1 : value / (scale[i] * scale[j]))),
+        repaired: true,
+        minEigenvalue: Math.min(...values)
+    };
+}
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric matrix by the cyclic Jacobi method
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {Object} { values, vectors } where vectors[k] is the eigenvector of values[k]
+ */
+function symmetricEigen(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => i === j ? 1 : 0));
+    
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-22) break;
+        
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-15) continue;
+                
+                // Rotate rows and columns p and q to zero a[p][q]
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+    
+    return {
+        values: a.map((row, i) => row[i]),
+        vectors: a.map((row, k) => v.map(vrow => vrow[k]))
+    };
+}
+
+/**
+ * Whether a symmetric matrix is positive semidefinite, by attempting a Cholesky
+ * decomposition with a small tolerance for rounding
+ */
+function tryCholesky(matrix) {
+    const n = matrix.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+    
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            if (i === j) {
+                if (sum < -1e-10) return false;
+                lower[i][i] = Math.sqrt(Math.max(sum, 0));
+            } else {
+                if (lower[j][j] <= 1e-10) {
+                    if (Math.abs(sum) > 1e-8) return false;
+                    continue;
+                }
+                lower[i][j] = sum / lower[j][j];
+            }
+        }
+    }
+    return true;
+}
+
+/**
+ * Calculate annualized portfolio volatility (in base currency) as sqrt(wᵀΣw),
+ * where w are the factor positions and Σ the covariance matrix
+ * @param {Array} factors - Risk factors from buildRiskFactors
+ * @param {Object} correlationOverrides - Correlation overrides keyed by "AAA/BBB"
+ * @returns {number} Portfolio volatility in base currency
+ */
+function calculatePortfolioVolatility(factors, correlationOverrides = {}) {
+    const correlationMatrix = buildCorrelationMatrix(factors, correlationOverrides);
+    let variance = 0;
+    
+    for (let i = 0; i < factors.length; i++) {
+        for (let j = 0; j < factors.length; j++) {
+            variance += factors[i].position * factors[i].volatility
+                * correlationMatrix[i][j]
+                * factors[j].position * factors[j].volatility;
+        }
+    }
+    
+    return Math.sqrt(Math.max(0, variance));
+}
+
+/**
+ * Cholesky decomposition of a positive semidefinite matrix. Matrices that are not
+ * (e.g. inconsistent user-entered correlations) are repaired first with
+ * repairCorrelationMatrix; a zero pivot leaves its column empty rather than
+ * dividing by it.
+ * @param {Array<Array<number>>} matrix - Symmetric matrix
+ * @returns {Array<Array<number>>} Lower triangular matrix L with L * Lᵀ ≈ matrix
+ */
+function choleskyDecomposition(matrix) {
+    const valid = repairCorrelationMatrix(matrix).matrix;
+    const n = valid.length;
+    const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+    
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = valid[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= lower[i][k] * lower[j][k];
+            }
+            
+            if (i === j) {
+                lower[i][j] = Math.sqrt(Math.max(sum, 0));
+            } else {
+                lower[i][j] = lower[j][j] > 1e-10 ? sum / lower[j][j] : 0;
+            }
+        }
+    }
+    
+    return lower;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} A function returning uniform numbers in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a standard normal generator from a uniform generator (Box-Muller)
+ * @param {Function} random - Uniform random number generator
+ * @returns {Function} A function returning standard normal numbers
+ */
+function createNormalGenerator(random) {
+    let spare = null;
+    return function() {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        
+        let u = 0;
+        while (u === 0) u = random();
+        const v = random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        spare = radius * Math.sin(2 * Math.PI * v);
+        return radius * Math.cos(2 * Math.PI * v);
+    };
+}
+
+/**
+ * Calculate VaR and Expected Shortfall from a P&L distribution
+ * @param {Array<number>} sortedPnl - P&L values sorted ascending (losses first)
+ * @param {number} confidenceLevel - Confidence level, e.g. 0.95
+ * @returns {Object} { confidenceLevel, valueAtRisk, expectedShortfall } as positive loss amounts
+ */
+function calculateTailRisk(sortedPnl, confidenceLevel) {
+    const count = sortedPnl.length;
+    if (count === 0) {
+        return { confidenceLevel, valueAtRisk: 0, expectedShortfall: 0 };
+    }
+    
+    const tailSize = Math.max(1, Math.floor((1 - confidenceLevel) * count));
+    let tailSum = 0;
+    for (let i = 0; i < tailSize; i++) {
+        tailSum += sortedPnl[i];
+    }
+    
+    return {
+        confidenceLevel: confidenceLevel,
+        valueAtRisk: Math.max(0, -sortedPnl[tailSize - 1]),
+        expectedShortfall: Math.max(0, -tailSum / tailSize)
+    };
+}
+
+/**
+ * Bucket a P&L distribution into a histogram for charting
+ * @param {Array<number>} sortedPnl - P&L values sorted ascending
+ * @param {number} binCount - Number of bins
+ * @returns {Array} Bins ({ from, to, count })
+ */
+function buildPnlHistogram(sortedPnl, binCount = MONTE_CARLO_DEFAULTS.histogramBins) {
+    if (sortedPnl.length === 0 || !sortedPnl.every(Number.isFinite)) return [];
+    
+    const min = sortedPnl[0];
+    const max = sortedPnl[sortedPnl.length - 1];
+    const width = (max - min) / binCount || 1;
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        from: min + i * width,
+        to: min + (i + 1) * width,
+        count: 0
+    }));
+    
+    sortedPnl.forEach(value => {
+        const index = Math.min(binCount - 1, Math.floor((value - min) / width));
+        bins[index].count++;
+    });
+    
+    return bins;
+}
+
+/**
+ * Run a seeded Monte Carlo simulation of correlated FX paths and derive
+ * VaR and Expected Shortfall from the simulated P&L distribution.
+ * Each currency follows a geometric Brownian motion with daily steps over the time horizon.
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @param {number} timeHorizonDays - Time horizon in days
+ * @param {Object} options - Simulation options
+ * @param {number} options.paths - Number of simulated paths
+ * @param {number} options.seed - Seed for reproducible results
+ * @param {Array<number>} options.confidenceLevels - Confidence levels to report, e.g. [0.95, 0.99]
+ * @param {Object} options.correlationOverrides - Currency correlation overrides keyed by "AAA/BBB"
+ * @param {number} options.histogramBins - Number of histogram bins
+ * @returns {Object} Risk measures per confidence level, P&L distribution and histogram
+ * @throws {Error} If a simulated P&L is not finite
+ */
+function runMonteCarloSimulation(exposures, baseCurrency, timeHorizonDays, options = {}) {
+    const config = { ...MONTE_CARLO_DEFAULTS };
+    Object.keys(options).forEach(key => {
+        // Missing settings (e.g. on simulations saved before Monte Carlo existed) keep their defaults
+        if (options[key] !== undefined && options[key] !== null) {
+            config[key] = options[key];
+        }
+    });
+    const paths = Math.max(1, Math.round(config.paths));
+    const steps = Math.max(1, Math.round(timeHorizonDays));
+    
+    const factors = buildRiskFactors(exposures, baseCurrency);
+    const lower = choleskyDecomposition(buildCorrelationMatrix(factors, config.correlationOverrides));
+    const normal = createNormalGenerator(createSeededRandom(config.seed));
+    
+    const dt = 1 / TRADING_DAYS_PER_YEAR;
+    const diffusion = factors.map(f => f.volatility * Math.sqrt(dt));
+    const drift = factors.map(f => -0.5 * f.volatility * f.volatility * dt);
+    
+    const pnl = new Array(paths);
+    const shocks = new Array(factors.length);
+    const logReturns = new Array(factors.length);
+    
+    for (let p = 0; p < paths; p++) {
+        logReturns.fill(0);
+        
+        for (let t = 0; t < steps; t++) {
+            for (let i = 0; i < factors.length; i++) {
+                shocks[i] = normal();
+            }
+            
+            // Correlate the independent shocks: z = L * e
+            for (let i = 0; i < factors.length; i++) {
+                let z = 0;
+                for (let k = 0; k <= i; k++) {
+                    z += lower[i][k] * shocks[k];
+                }
+                logReturns[i] += drift[i] + diffusion[i] * z;
+            }
+        }
+        
+        let pathPnl = 0;
+        for (let i = 0; i < factors.length; i++) {
+            pathPnl += factors[i].position * (Math.exp(logReturns[i]) - 1);
+        }
+        if (!Number.isFinite(pathPnl)) {
+            throw new Error('The Monte Carlo simulation produced a non-finite P&L; check the volatilities and correlations');
+        }
+        pnl[p] = pathPnl;
+    }
+    
+    pnl.sort((a, b) => a - b);
+    
+    const mean = pnl.reduce((sum, value) => sum + value, 0) / paths;
+    const variance = pnl.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / paths;
+    
+    return {
+        method: 'monte-carlo',
+        paths: paths,
+        seed: config.seed,
+        timeHorizon: timeHorizonDays,
+        riskMeasures: config.confidenceLevels.map(level => calculateTailRisk(pnl, level)),
+        mean: mean,
+        standardDeviation: Math.sqrt(variance),
+        pnlDistribution: pnl,
+        histogram: buildPnlHistogram(pnl, config.histogramBins)
+    };
+}
+
+/**
+ * Build aligned daily log returns against the base currency from rate history.
+ * Only dates with a rate for every requested currency (and the base) are used.
+ * @param {Array} rateHistory - Rate records ({ date, currency, rate }) in USD per unit
+ * @param {Array<string>} currencies - Currencies to build returns for
+ * @param {string} baseCurrency - The base currency code
+ * @param {number} lookbackDays - Number of most recent daily returns to keep
+ * @returns {Object} { dates, returns } with returns keyed by currency
+ */
+function buildHistoricalReturns(rateHistory, currencies, baseCurrency, lookbackDays = HISTORICAL_LOOKBACK_DAYS) {
+    const ratesByDate = {};
+    rateHistory.forEach(record => {
+        const rates = ratesByDate[record.date] || (ratesByDate[record.date] = { USD: 1 });
+        rates[record.currency] = record.rate;
+    });
+    
+    const required = [...currencies, baseCurrency];
+    const dates = Object.keys(ratesByDate)
+        .sort()
+        .filter(date => required.every(c => ratesByDate[date][c] > 0))
+        .slice(-(lookbackDays + 1));
+    
+    const returns = {};
+    currencies.forEach(currency => {
+        returns[currency] = [];
+        for (let i = 1; i < dates.length; i++) {
+            const today = ratesByDate[dates[i]];
+            const yesterday = ratesByDate[dates[i - 1]];
+            const todayRate = today[currency] / today[baseCurrency];
+            const yesterdayRate = yesterday[currency] / yesterday[baseCurrency];
+            returns[currency].push(Math.log(todayRate / yesterdayRate));
+        }
+    });
+    
+    return { dates: dates.slice(1), returns };
+}
+
+/**
+ * Calculate empirical annualized volatilities against the base currency from rate history
+ * @param {Array} rateHistory - Rate records ({ date, currency, rate }) in USD per unit
+ * @param {string} baseCurrency - The base currency code
+ * @param {number} lookbackDays - Number of most recent daily returns to use
+ * @returns {Object} { volatility, observations } keyed by currency pair ("EUR/USD")
+ */
+function calculateEmpiricalVolatilities(rateHistory, baseCurrency, lookbackDays = HISTORICAL_LOOKBACK_DAYS) {
+    const currencies = [...new Set(rateHistory.map(r => r.currency).concat('USD'))].filter(c => c !== baseCurrency);
+    
+    return currencies.reduce((acc, currency) => {
+        const { returns } = buildHistoricalReturns(rateHistory, [currency], baseCurrency, lookbackDays);
+        const series = returns[currency];
+        if (series.length < 2) return acc;
+        
+        const mean = series.reduce((sum, r) => sum + r, 0) / series.length;
+        const variance = series.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) / (series.length - 1);
+        
+        const garch = series.length >= VOLATILITY_MIN_OBSERVATIONS.garch ? fitGarchVolatility(series) : null;
+        acc[`${currency}/${baseCurrency}`] = {
+            volatility: Math.sqrt(variance * TRADING_DAYS_PER_YEAR),
+            ewma: series.length >= VOLATILITY_MIN_OBSERVATIONS.ewma ? calculateEwmaVolatility(series) : null,
+            garch: garch ? garch.volatility : null,
+            observations: series.length
+        };
+        return acc;
+    }, {});
+}
+
+/**
+ * Annualized EWMA volatility of daily log returns (RiskMetrics): each day's variance is
+ * λ times the previous variance plus (1 - λ) times the squared return
+ * @param {Array<number>} returns - Daily log returns, oldest first
+ * @param {number} lambda - Decay factor (default 0.94)
+ * @returns {number|null} The volatility after the last return, or null without returns
+ */
+function calculateEwmaVolatility(returns, lambda = EWMA_LAMBDA) {
+    if (returns.length === 0) return null;
+    
+    // Seed with the mean square of the first few returns
+    const seed = returns.slice(0, 20);
+    let variance = seed.reduce((sum, r) => sum + r * r, 0) / seed.length;
+    returns.forEach(r => {
+        variance = lambda * variance + (1 - lambda) * r * r;
+    });
+    return Math.sqrt(variance * TRADING_DAYS_PER_YEAR);
+}
+
+/**
+ * Fit a GARCH(1,1) model to daily log returns and forecast volatility over a horizon.
+ * The variance follows σ²ₜ = ω + α r²ₜ₋₁ + β σ²ₜ₋₁; ω is set by variance targeting and
+ * α and β by maximum likelihood over a grid. The forecast is the average variance over
+ * the horizon, which reverts from the latest variance toward the long-run variance.
+ * @param {Array<number>} returns - Daily log returns, oldest first
+ * @param {number} horizonDays - Forecast horizon in days (default 1)
+ * @returns {Object|null} { volatility, alpha, beta, omega, persistence, longRunVolatility,
+ *   observations } with annualized volatilities, or null with fewer than 3 returns
+ */
+function fitGarchVolatility(returns, horizonDays = 1) {
+    if (returns.length < 3) return null;
+    
+    const longRunVariance = returns.reduce((sum, r) => sum + r * r, 0) / returns.length;
+    if (longRunVariance === 0) return null;
+    
+    let best = null;
+    for (let a = 1; a <= 30; a++) {
+        for (let b = 50; b <= 99; b++) {
+            const alpha = a / 100;
+            const beta = b / 100;
+            if (alpha + beta >= 0.999) continue;
+            
+            const omega = longRunVariance * (1 - alpha - beta);
+            let variance = longRunVariance;
+            let logLikelihood = 0;
+            returns.forEach(r => {
+                logLikelihood -= Math.log(variance) + r * r / variance;
+                variance = omega + alpha * r * r + beta * variance;
+            });
+            
+            if (!best || logLikelihood > best.logLikelihood) {
+                best = { alpha, beta, omega, logLikelihood, nextVariance: variance };
+            }
+        }
+    }
+    
+    const persistence = best.alpha + best.beta;
+    const days = Math.max(1, Math.round(horizonDays));
+    const averageVariance = longRunVariance
+        + (best.nextVariance - longRunVariance) * (1 - Math.pow(persistence, days)) / ((1 - persistence) * days);
+    
+    return {
+        volatility: Math.sqrt(averageVariance * TRADING_DAYS_PER_YEAR),
+        alpha: best.alpha,
+        beta: best.beta,
+        omega: best.omega,
+        persistence: persistence,
+        longRunVolatility: Math.sqrt(longRunVariance * TRADING_DAYS_PER_YEAR),
+        observations: returns.length
+    };
+}
+
+/**
+ * Estimate the volatility of a currency against the base currency from rate history
+ * @param {Array} rateHistory - Rate records ({ date, currency, rate }) in USD per unit
+ * @param {string} currency - The currency
+ * @param {string} baseCurrency - The base currency code
+ * @param {string} method - 'ewma' or 'garch'
+ * @param {Object} options - { lookbackDays, timeHorizon }
+ * @returns {Object|null} The estimate ({ volatility, observations, ... }), or null when
+ *   there are fewer returns than the method needs
+ */
+function estimatePairVolatility(rateHistory, currency, baseCurrency, method, options = {}) {
+    const { returns } = buildHistoricalReturns(rateHistory, [currency], baseCurrency, options.lookbackDays || HISTORICAL_LOOKBACK_DAYS);
+    const series = returns[currency];
+    if (series.length < (VOLATILITY_MIN_OBSERVATIONS[method] || 2)) return null;
+    
+    return method === 'garch'
+        ? fitGarchVolatility(series, options.timeHorizon)
+        : { volatility: calculateEwmaVolatility(series), observations: series.length };
+}
+
+/**
+ * The part of the rate history calculating a simulation reads, so it can travel with
+ * the simulation: the records of its currencies from the start of the lookback window
+ * of all of them together, which no window of fewer currencies starts before
+ * @param {Array} rateHistory - Rate records ({ date, currency, rate }) in USD per unit
+ * @param {Object} simulationData - The simulation
+ * @returns {Array} The records used, or an empty list if the simulation needs no history
+ */
+function selectRateHistory(rateHistory, simulationData) {
+    if (!needsRateHistory(simulationData) || rateHistory.length === 0) return [];
+    
+    const baseCurrency = simulationData.baseCurrency || 'USD';
+    const lookbackDays = simulationData.historicalLookbackDays || HISTORICAL_LOOKBACK_DAYS;
+    const available = new Set(rateHistory.map(r => r.currency).concat('USD'));
+    const currencies = [...new Set((simulationData.exposures || [])
+        .flatMap(exp => (exp.currencyPair ? [exp.currencyPair.from, exp.currencyPair.to] : []))
+        .concat(baseCurrency))]
+        .filter(currency => available.has(currency));
+    
+    const ratesByDate = {};
+    rateHistory.forEach(record => {
+        const rates = ratesByDate[record.date] || (ratesByDate[record.date] = { USD: 1 });
+        rates[record.currency] = record.rate;
+    });
+    const dates = Object.keys(ratesByDate)
+        .sort()
+        .filter(date => currencies.every(c => ratesByDate[date][c] > 0));
+    
+    // With fewer dates than the window, windows of fewer currencies may reach further back
+    const from = dates.length > lookbackDays ? dates[dates.length - lookbackDays - 1] : '';
+    return rateHistory.filter(record => record.date >= from && currencies.includes(record.currency));
+}
+
+/**
+ * Whether calculating a simulation needs the stored rate history: for historical VaR
+ * or for pair volatilities estimated from it
+ */
+function needsRateHistory(simulationData) {
+    return simulationData.varMethod === 'historical'
+        || Object.values(simulationData.pairVolatilities || {}).some(setting => setting && (setting.method === 'ewma' || setting.method === 'garch'));
+}
+
+/**
+ * Calculate Value at Risk by historical simulation: the current positions are
+ * revalued under each observed daily move in the lookback window, scaled to
+ * the time horizon with the square root of time rule.
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @param {Array} rateHistory - Rate records ({ date, currency, rate }) in USD per unit
+ * @param {Object} options - { confidenceLevel, timeHorizon, lookbackDays }
+ * @returns {Object} VaR, Expected Shortfall, the P&L distribution and the data used
+ */
+function calculateHistoricalVaR(exposures, baseCurrency, rateHistory, options = {}) {
+    const confidenceLevel = options.confidenceLevel || 0.95;
+    const timeHorizon = options.timeHorizon || 1;
+    const lookbackDays = options.lookbackDays || HISTORICAL_LOOKBACK_DAYS;
+    
+    const factors = buildRiskFactors(exposures, baseCurrency);
+    const currencies = factors.map(f => f.currency);
+    const available = new Set(rateHistory.map(r => r.currency).concat('USD'));
+    const missingCurrencies = [...currencies, baseCurrency].filter(c => !available.has(c));
+    
+    const { dates, returns } = buildHistoricalReturns(rateHistory, currencies, baseCurrency, lookbackDays);
+    const scale = Math.sqrt(timeHorizon);
+    
+    const pnl = dates.map((date, t) => factors.reduce((sum, f) => {
+        return sum + f.position * (Math.exp(returns[f.currency][t] * scale) - 1);
+    }, 0)).sort((a, b) => a - b);
+    
+    const tailRisk = calculateTailRisk(pnl, confidenceLevel);
+    
+    return {
+        method: 'historical',
+        confidenceLevel: confidenceLevel,
+        valueAtRisk: tailRisk.valueAtRisk,
+        expectedShortfall: tailRisk.expectedShortfall,
+        lookbackDays: lookbackDays,
+        observations: factors.length > 0 ? pnl.length : dates.length,
+        firstDate: dates[0] || null,
+        lastDate: dates[dates.length - 1] || null,
+        missingCurrencies: missingCurrencies,
+        pnlDistribution: pnl
+    };
+}
+
+/**
+ * Get the stress scenarios to run for a simulation: its own scenarios, or the
+ * historical library when it has never edited them
+ * @param {Object} simulationData - The simulation input data
+ * @returns {Array} Scenarios ({ id, name, description, source, shocks, defaultShock })
+ */
+function generateStressScenarios(simulationData = {}) {
+    const scenarios = Array.isArray(simulationData.stressScenarios)
+        ? simulationData.stressScenarios
+        : HISTORICAL_STRESS_SCENARIOS;
+    
+    return scenarios.map(scenario => ({ ...scenario, shocks: { ...scenario.shocks } }));
+}
+
+/**
+ * Shock of a currency against the base currency in a scenario. Scenario shocks are
+ * moves against the scenario's quote currency (USD unless set), so they are combined
+ * with the base currency's own shock. Scenarios with a single uniform "change" apply
+ * it to every currency.
+ * @param {Object} scenario - The scenario ({ shocks, defaultShock, quoteCurrency } or { change })
+ * @param {string} currency - Currency code
+ * @param {string} baseCurrency - The base currency code
+ * @returns {number} Relative change of the currency in base currency terms
+ */
+function getScenarioShock(scenario, currency, baseCurrency) {
+    if (currency === baseCurrency) return 0;
+    if (!scenario.shocks) return scenario.change || 0;
+    
+    const quoteCurrency = scenario.quoteCurrency || 'USD';
+    const shockAgainstQuote = code => {
+        if (code === quoteCurrency) return 0;
+        const shock = parseFloat(scenario.shocks[code]);
+        return isNaN(shock) ? (parseFloat(scenario.defaultShock) || 0) : shock;
+    };
+    
+    return (1 + shockAgainstQuote(currency)) / (1 + shockAgainstQuote(baseCurrency)) - 1;
+}
+
+/**
+ * Scale a scenario's shocks until its loss reaches a target, by bisection. Losses are
+ * revalued in full, so option hedges are captured beyond their delta.
+ * @param {Function} lossForScale - Returns the loss for a scale of the shocks
+ * @param {number} target - The loss to reach
+ * @param {number} maxScale - The largest scale allowed
+ * @returns {number|null} The scale, or null if the target cannot be reached
+ */
+function solveShockScale(lossForScale, target, maxScale) {
+    if (lossForScale(maxScale) < target) return null;
+    
+    let low = 0;
+    let high = maxScale;
+    for (let i = 0; i < 60 && high - low > 1e-9 * maxScale; i++) {
+        const mid = (low + high) / 2;
+        if (lossForScale(mid) < target) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return high;
+}
+
+/**
+ * Reverse stress test: find the FX moves that produce a given loss. The combined
+ * scenario is the smallest set of per-currency shocks, measured in standard deviations
+ * over the time horizon, whose loss reaches the threshold (shocks proportional to
+ * position x variance). Single-currency scenarios move one currency on its own.
+ * Scenarios are quoted against the base currency and use the stress test structure.
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @param {number} lossThreshold - Loss to reach, in base currency (positive)
+ * @param {Object} options - Options
+ * @param {number} options.timeHorizon - Horizon in days used to express shocks in standard deviations
+ * @returns {Object} { lossThreshold, combined, singleCurrency, stressTests }; combined is null
+ *   and single-currency scenarios are marked unreachable when no move within bounds breaches
+ */
+function calculateReverseStressTest(exposures, baseCurrency, lossThreshold, options = {}) {
+    const target = Math.abs(parseFloat(lossThreshold) || 0);
+    const horizonFactor = getTimeFactor(options.timeHorizon || 30);
+    const factors = buildRiskFactors(exposures, baseCurrency).filter(f => f.position !== 0);
+    
+    // Currencies cannot lose more than 99% of their value; gains are capped at 500%
+    const MIN_SHOCK = -0.99;
+    const MAX_SHOCK = 5;
+    
+    const lossOf = scenario => -calculateStressTestResults(exposures, baseCurrency, [scenario])[0].totalImpact;
+    const buildScenario = (id, name, description, shocks, sigmas) => ({
+        id: id,
+        name: name,
+        description: description,
+        source: 'reverse',
+        quoteCurrency: baseCurrency,
+        defaultShock: 0,
+        shocks: shocks,
+        sigmaMultiple: sigmas
+    });
+    const formatShocks = shocks => Object.keys(shocks)
+        .map(c => `${c} ${shocks[c] >= 0 ? '+' : ''}${(shocks[c] * 100).toFixed(1)}%`)
+        .join(', ');
+    
+    // Combined: direction minimizing the sum of squared shocks in standard deviations
+    let combined = null;
+    const direction = {};
+    factors.forEach(f => {
+        direction[f.currency] = -f.position * f.volatility * f.volatility;
+    });
+    const directionNorm = Math.sqrt(factors.reduce((sum, f) => sum + Math.pow(direction[f.currency] / f.volatility, 2), 0));
+    
+    if (target > 0 && directionNorm > 0) {
+        // Largest scale keeping every shock within bounds
+        const maxScale = Math.min(...factors.map(f => {
+            const unit = direction[f.currency] / directionNorm;
+            return unit < 0 ? MIN_SHOCK / unit : MAX_SHOCK / unit;
+        }));
+        const shocksAt = scale => factors.reduce((shocks, f) => {
+            shocks[f.currency] = direction[f.currency] / directionNorm * scale;
+            return shocks;
+        }, {});
+        const scale = solveShockScale(
+            k => lossOf(buildScenario('reverse-combined', '', '', shocksAt(k), 0)),
+            target,
+            maxScale
+        );
+        
+        if (scale !== null) {
+            const shocks = shocksAt(scale);
+            combined = buildScenario(
+                'reverse-combined',
+                'Reverse Stress: Combined Move',
+                `Smallest volatility-weighted moves causing a loss of ${target.toFixed(0)} ${baseCurrency}: ${formatShocks(shocks)}`,
+                shocks,
+                scale / horizonFactor
+            );
+        }
+    }
+    
+    // Single-currency moves, most plausible (fewest standard deviations) first
+    const singleCurrency = factors.map(f => {
+        const bound = f.position > 0 ? MIN_SHOCK : MAX_SHOCK;
+        const scale = target > 0
+            ? solveShockScale(k => lossOf(buildScenario('', '', '', { [f.currency]: bound * k }, 0)), target, 1)
+            : null;
+        const shock = scale !== null ? bound * scale : null;
+        
+        return {
+            ...buildScenario(
+                `reverse-${f.currency}`,
+                `Reverse Stress: ${f.currency} Only`,
+                shock !== null
+                    ? `${f.currency} move against ${baseCurrency} that alone causes a loss of ${target.toFixed(0)} ${baseCurrency}: ${formatShocks({ [f.currency]: shock })}`
+                    : `No ${f.currency} move alone causes a loss of ${target.toFixed(0)} ${baseCurrency}`,
+                shock !== null ? { [f.currency]: shock } : {},
+                shock !== null ? Math.abs(shock) / (f.volatility * horizonFactor) : null
+            ),
+            currency: f.currency,
+            reachable: shock !== null
+        };
+    }).sort((a, b) => (a.reachable === b.reachable ? (a.sigmaMultiple || 0) - (b.sigmaMultiple || 0) : (a.reachable ? -1 : 1)));
+    
+    const scenarios = [combined, ...singleCurrency.filter(s => s.reachable)].filter(Boolean);
+    
+    return {
+        lossThreshold: target,
+        combined: combined,
+        singleCurrency: singleCurrency,
+        stressTests: calculateStressTestResults(exposures, baseCurrency, scenarios)
+    };
+}
+
+/**
+ * Calculate stress test results, valuing each exposure net of its hedges
+ * @param {Array} exposures - Processed exposures from calculateSimulationResults
+ * @param {string} baseCurrency - The base currency code
+ * @param {Array} scenarios - Scenarios from generateStressScenarios
+ * @returns {Array} Per scenario: the scenario with totalImpact and exposureImpacts
+ *   ({ ...exposure, change, impact, hedgeImpact, legImpacts, newValue }); change is the
+ *   exposure's net move, the difference of the two legs' moves for a cross pair
+ */
+function calculateStressTestResults(exposures, baseCurrency, scenarios) {
+    return scenarios.map(scenario => {
+        let totalImpact = 0;
+        
+        const exposureImpacts = exposures.map(exp => {
+            // Skip if exposure is in base currency
+            const legs = getRiskLegs(exp, baseCurrency);
+            if (legs.length === 0) {
+                return {
+                    ...exp,
+                    change: 0,
                     impact: 0,
+                    hedgeImpact: 0,
+                    legImpacts: [],
                     newValue: exp.baseEquivalent
                 };
             }
             
-            // Calculate impact based on scenario
-            const impact = exp.baseEquivalent * scenario.change;
+            // Shock each currency leg, offset by the hedges revalued at the new cross rate
+            const legImpacts = legs.map(leg => {
+                const legChange = getScenarioShock(scenario, leg.currency, baseCurrency);
+                return { currency: leg.currency, change: legChange, impact: leg.position * legChange };
+            });
+            const change = legs.reduce((sum, leg, i) => sum + leg.share * legImpacts[i].change, 0);
+            const hedgeImpact = calculateHedgePnl(exp,
+                getScenarioShock(scenario, exp.fromCurrency, baseCurrency),
+                getScenarioShock(scenario, exp.toCurrency, baseCurrency));
+            const impact = legImpacts.reduce((sum, leg) => sum + leg.impact, 0) + hedgeImpact;
             totalImpact += impact;
             
             return {
                 ...exp,
+                change: change,
                 impact: impact,
+                hedgeImpact: hedgeImpact,
+                legImpacts: legImpacts,
                 newValue: exp.baseEquivalent + impact
             };
         });
@@ -283,16 +2160,388 @@ function calculateStressTestResults(exposures, baseCurrency, scenarios) {
     });
 }
 
+// Steps of the VaR change attribution, applied in this order
+const VAR_ATTRIBUTION_STEPS = [
+    { id: 'removed', label: 'Removed exposures' },
+    { id: 'added', label: 'New exposures' },
+    { id: 'hedges', label: 'Hedge changes' },
+    { id: 'rates', label: 'Rate moves' },
+    { id: 'other', label: 'Amount and other changes' }
+];
+
+/**
+ * Pair up the exposures of two simulations: by ID, then by source-system key,
+ * then by currency pair, direction and entity
+ * @param {Array} beforeExposures - Exposures of the earlier simulation
+ * @param {Array} afterExposures - Exposures of the later simulation
+ * @returns {Object} { matched: [[before, after]], removed, added }
+ */
+function matchExposures(beforeExposures, afterExposures) {
+    const unmatched = [...afterExposures];
+    const keys = [
+        exp => exp.id,
+        exp => exp.externalId,
+        exp => `${exp.currencyPair.from}/${exp.currencyPair.to}|${exp.direction || 'receivable'}|${(exp.entity || '').trim()}`
+    ];
+    const matched = [];
+    const removed = [];
+    
+    beforeExposures.forEach(before => {
+        let index = -1;
+        keys.some(key => {
+            const value = key(before);
+            index = value ? unmatched.findIndex(after => key(after) === value) : -1;
+            return index >= 0;
+        });
+        
+        if (index >= 0) {
+            matched.push([before, unmatched.splice(index, 1)[0]]);
+        } else {
+            removed.push(before);
+        }
+    });
+    
+    return { matched, removed, added: unmatched };
+}
+
+/**
+ * Compare the results of two simulations (or two versions of one), and attribute the
+ * change in VaR. The attribution walks from the first simulation to the second one
+ * step at a time, recalculating VaR after each step: removed exposures are dropped,
+ * new exposures are added, matched exposures take their new hedges, and the rates
+ * and volatilities of the second simulation are applied. What remains (changed
+ * amounts and dates, settings such as the time horizon) is reported as other changes,
+ * so the steps always add up to the total change. Step values depend on this order.
+ * @param {Object} beforeData - The earlier (or reference) simulation
+ * @param {Object} afterData - The later (or proposed) simulation
+ * @param {Object} options - Calculation options
+ * @param {Object} options.before - Options for the first simulation ({ rateSnapshot, volatilities })
+ * @param {Object} options.after - Options for the second simulation ({ rateSnapshot, volatilities })
+ * @param {Array} options.rateHistory - Daily rate history for historical VaR
+ * @param {string} options.valuationDate - Valuation date for both simulations
+ * @returns {Object} { before, after, metrics, riskDistribution, exposures, varAttribution, warnings }
+ */
+function compareSimulations(beforeData, afterData, options = {}) {
+    const shared = { rateHistory: options.rateHistory, valuationDate: options.valuationDate };
+    const beforeOptions = { ...shared, ...options.before };
+    const afterOptions = { ...shared, ...options.after };
+    const before = calculateSimulationResults(beforeData, beforeOptions);
+    const after = calculateSimulationResults(afterData, afterOptions);
+    const warnings = [];
+    if (beforeData.baseCurrency !== afterData.baseCurrency) {
+        warnings.push({
+            type: 'base-currency',
+            message: `The simulations use different base currencies (${beforeData.baseCurrency} and ${afterData.baseCurrency}); amounts are not directly comparable.`
+        });
+    }
+    
+    const metric = (id, label, format) => ({ id, label, format, before: before[id], after: after[id], change: after[id] - before[id] });
+    const metrics = [
+        metric('totalExposure', 'Total Exposure', 'currency'),
+        metric('netExposure', 'Net Exposure', 'currency'),
+        metric('hedgedExposure', 'Hedged Exposure', 'currency'),
+        metric('unhedgedExposure', 'Unhedged Exposure', 'currency'),
+        metric('varValue', 'Value at Risk', 'currency'),
+        metric('hedgeCost', 'Hedge Cost', 'currency'),
+        metric('highRiskExposureCount', 'High-Risk Exposures', 'count')
+    ];
+    
+    const riskDistribution = ['Low', 'Medium', 'High', 'Critical'].map(level => {
+        const beforeCount = before.riskDistribution[level] || 0;
+        const afterCount = after.riskDistribution[level] || 0;
+        return { level, before: beforeCount, after: afterCount, change: afterCount - beforeCount };
+    });
+    
+    // Each exposure's risk score, matched across the two simulations
+    const { matched, removed, added } = matchExposures(beforeData.exposures, afterData.exposures);
+    const detailOf = (results, data, exposure) => results.exposureDetails[data.exposures.indexOf(exposure)];
+    const describe = exposure => `${exposure.currencyPair.from}/${exposure.currencyPair.to} ${exposure.direction || 'receivable'}${exposure.entity ? ` (${exposure.entity})` : ''}`;
+    const scoreOf = detail => ({ riskScore: detail.riskScore, riskLevel: detail.riskLevel, baseEquivalent: detail.baseEquivalent });
+    const exposures = [
+        ...matched.map(([b, a]) => {
+            const beforeScore = scoreOf(detailOf(before, beforeData, b));
+            const afterScore = scoreOf(detailOf(after, afterData, a));
+            return { label: describe(a), status: 'matched', before: beforeScore, after: afterScore, change: afterScore.riskScore - beforeScore.riskScore };
+        }),
+        ...removed.map(b => ({ label: describe(b), status: 'removed', before: scoreOf(detailOf(before, beforeData, b)), after: null, change: null })),
+        ...added.map(a => ({ label: describe(a), status: 'added', before: null, after: scoreOf(detailOf(after, afterData, a)), change: null }))
+    ];
+    
+    // Walk from the first simulation to the second, one kind of change at a time
+    const varOf = (data, stepOptions) => calculateSimulationResults(
+        { ...data, includeStressTests: false, reverseStressLoss: null },
+        stepOptions
+    ).varValue;
+    const hedgesFrom = new Map(matched.map(([b, a]) => [b, a]));
+    const withoutRemoved = { ...beforeData, exposures: matched.map(([b]) => b) };
+    const withAdded = { ...withoutRemoved, exposures: [...withoutRemoved.exposures, ...added] };
+    const withHedges = {
+        ...withAdded,
+        exposures: withAdded.exposures.map(exposure => (hedgesFrom.has(exposure)
+            ? { ...exposure, hedgeRatio: hedgesFrom.get(exposure).hedgeRatio, hedges: hedgesFrom.get(exposure).hedges }
+            : exposure))
+    };
+    
+    const stepVaRs = [
+        varOf(withoutRemoved, beforeOptions),
+        varOf(withAdded, beforeOptions),
+        varOf(withHedges, beforeOptions),
+        varOf(withHedges, { ...beforeOptions, rateSnapshot: afterOptions.rateSnapshot, volatilities: afterOptions.volatilities }),
+        after.varValue
+    ];
+    let previousVaR = before.varValue;
+    const steps = VAR_ATTRIBUTION_STEPS.map((step, index) => {
+        const value = stepVaRs[index] - previousVaR;
+        previousVaR = stepVaRs[index];
+        return { ...step, value };
+    });
+    
+    return {
+        before,
+        after,
+        metrics,
+        riskDistribution,
+        exposures,
+        varAttribution: {
+            before: before.varValue,
+            after: after.varValue,
+            change: after.varValue - before.varValue,
+            steps
+        },
+        warnings
+    };
+}
+
+// VaR limit for each risk appetite (1-5), as a share of gross exposure, used as the
+// hedge optimizer's target when no target VaR is given
+const RISK_APPETITE_VAR_LIMITS = {
+    1: 0.01,
+    2: 0.02,
+    3: 0.035,
+    4: 0.05,
+    5: 0.075
+};
+
+// Annual hedging cost (e.g. forward points) as a share of notional, for currencies without a cost
+const DEFAULT_HEDGE_COST = 0.005;
+
+/**
+ * Target VaR for a risk appetite: the appetite's VaR limit applied to gross exposure
+ * @param {number} riskAppetite - Risk appetite (1-5)
+ * @param {number} totalExposure - Gross exposure in the base currency
+ * @returns {number} The target VaR
+ */
+function getTargetVaR(riskAppetite, totalExposure) {
+    return totalExposure * (RISK_APPETITE_VAR_LIMITS[riskAppetite] || RISK_APPETITE_VAR_LIMITS[3]);
+}
+
+/**
+ * Propose hedge ratios that bring VaR down to a target at the lowest cost. Hedges are
+ * added greedily in small steps, each time on the exposure that removes the most
+ * parametric VaR per unit of cost, until the target is met or no further hedge
+ * reduces VaR (the step is halved a few times before giving up, so offsetting long and
+ * short positions can be matched closely). The portfolio variance is updated in place as
+ * hedges are added, so a step costs time in proportion to the number of exposures.
+ * Existing hedges are kept; an exposure is never hedged beyond 100%.
+ * @param {Object} simulationData - The simulation
+ * @param {Object} options - Optimizer options, plus calculation options for calculateSimulationResults
+ * @param {number} options.targetVaR - Target VaR in the base currency; defaults to the risk appetite's limit
+ * @param {Object} options.costs - Annual hedging cost per currency as a share of notional, e.g. { EUR: 0.012 }
+ * @param {number} options.step - Hedge ratio increment (default 0.05)
+ * @returns {Object} { targetVaR, targetSource, targetMet, before, after, cost, proposals, simulationData }
+ *   where proposals list each exposure whose hedge ratio changes and simulationData holds the
+ *   simulation with the proposed hedge ratios applied
+ */
+function optimizeHedges(simulationData, options = {}) {
+    const { targetVaR, costs = {}, step = 0.05, ...calculationOptions } = options;
+    const calculate = data => calculateSimulationResults({ ...data, includeStressTests: false, reverseStressLoss: null }, calculationOptions);
+    const before = calculate(simulationData);
+    const baseCurrency = before.baseCurrency;
+    const target = targetVaR > 0 ? targetVaR : getTargetVaR(simulationData.riskAppetite, before.totalExposure);
+    const horizonYears = (before.timeHorizon || 30) / 365;
+    const costOf = currency => (costs[currency] !== undefined && costs[currency] !== '' ? Math.max(0, parseFloat(costs[currency]) || 0) : DEFAULT_HEDGE_COST);
+    
+    // Working copies of the exposures: only the residual position changes while optimizing
+    const working = before.exposureDetails.map((exp, index) => ({
+        ...exp,
+        index: index,
+        added: 0,
+        capacity: exp.amount !== 0 && exp.riskCurrency !== baseCurrency && !exp.rateMissing
+            ? Math.max(0, exp.residualAmount / exp.amount)
+            : 0
+    }));
+    
+    // Hedging only changes the residual positions, so the risk of each currency (its
+    // position times its position-weighted volatility) and the portfolio variance are
+    // updated in place from the correlation matrix rather than recalculating VaR for every
+    // candidate
+    const factors = buildRiskFactors(working, baseCurrency).map(factor => ({ currency: factor.currency, position: 0, weight: 0, weightedVolatility: 0 }));
+    const factorIndex = {};
+    factors.forEach((factor, i) => { factorIndex[factor.currency] = i; });
+    working.forEach(exp => {
+        exp.riskLegs = getRiskLegs(exp, baseCurrency).map(leg => ({ index: factorIndex[leg.currency], share: leg.share, volatility: leg.volatility }));
+        exp.riskLegs.forEach(leg => {
+            const factor = factors[leg.index];
+            const residual = leg.share * exp.residualPosition;
+            factor.position += residual;
+            factor.weight += Math.abs(residual);
+            factor.weightedVolatility += leg.volatility * Math.abs(residual);
+        });
+    });
+    const riskOf = factor => (factor.weight > 0 ? factor.weightedVolatility / factor.weight * factor.position : 0);
+    const correlations = buildCorrelationMatrix(factors, before.correlationOverrides);
+    const risks = factors.map(riskOf);
+    const correlatedRisks = correlations.map(row => row.reduce((sum, value, j) => sum + value * risks[j], 0));
+    const varianceOf = () => risks.reduce((sum, risk, i) => sum + risk * correlatedRisks[i], 0);
+    let variance = varianceOf();
+    const scale = getZScore(before.confidenceLevel) * getTimeFactor(before.timeHorizon);
+    const varOfVariance = value => scale * Math.sqrt(Math.max(0, value));
+    
+    // The currency risks of an exposure's legs after adding an increment of hedge ratio
+    const hedgeLegs = (exp, increment) => exp.riskLegs.map(leg => {
+        const factor = factors[leg.index];
+        const residual = leg.share * exp.residualPosition;
+        const hedged = leg.share * (exp.residualPosition - exp.position * increment);
+        const weightChange = Math.abs(hedged) - Math.abs(residual);
+        const next = {
+            position: factor.position + hedged - residual,
+            weight: factor.weight + weightChange,
+            weightedVolatility: factor.weightedVolatility + leg.volatility * weightChange
+        };
+        return { index: leg.index, next, riskChange: riskOf(next) - risks[leg.index] };
+    });
+    const varianceChange = moves => moves.reduce((sum, move) =>
+        sum + 2 * move.riskChange * correlatedRisks[move.index]
+            + moves.reduce((inner, other) => inner + move.riskChange * correlations[move.index][other.index] * other.riskChange, 0), 0);
+    
+    let currentVaR = varOfVariance(variance);
+    let cost = 0;
+    let size = step;
+    while (currentVaR > target) {
+        let best = null;
+        working.forEach(exp => {
+            const increment = Math.min(size, exp.capacity - exp.added);
+            if (increment <= 1e-9) return;
+            
+            const moves = hedgeLegs(exp, increment);
+            const reduction = currentVaR - varOfVariance(variance + varianceChange(moves));
+            if (reduction <= 1e-9) return;
+            
+            const stepCost = Math.abs(exp.baseEquivalent) * increment * costOf(exp.riskCurrency) * horizonYears;
+            const efficiency = stepCost > 0 ? reduction / stepCost : Infinity;
+            if (!best || efficiency > best.efficiency || (efficiency === best.efficiency && reduction > best.reduction)) {
+                best = { exp, increment, moves, reduction, stepCost, efficiency };
+            }
+        });
+        if (!best) {
+            if (size <= step / 16) break;
+            size /= 2;
+            continue;
+        }
+        
+        best.moves.forEach(move => {
+            Object.assign(factors[move.index], move.next);
+            risks[move.index] += move.riskChange;
+            correlations.forEach((row, i) => { correlatedRisks[i] += row[move.index] * move.riskChange; });
+        });
+        best.exp.added += best.increment;
+        best.exp.residualPosition -= best.exp.position * best.increment;
+        variance = varianceOf();
+        currentVaR = varOfVariance(variance);
+        cost += best.stepCost;
+    }
+    
+    const proposals = working
+        .filter(exp => exp.added > 1e-9)
+        .map(exp => {
+            const currentRatio = Math.max(0, Math.min(1, parseFloat(simulationData.exposures[exp.index].hedgeRatio) || 0));
+            return {
+                index: exp.index,
+                exposureId: simulationData.exposures[exp.index].id,
+                currencyPair: exp.currencyPair,
+                currency: exp.riskCurrency,
+                currentRatio: currentRatio,
+                proposedRatio: Math.min(1, currentRatio + exp.added),
+                hedgeAmount: exp.amount * exp.added,
+                hedgeBaseEquivalent: exp.baseEquivalent * exp.added,
+                annualCostRate: costOf(exp.riskCurrency),
+                cost: Math.abs(exp.baseEquivalent) * exp.added * costOf(exp.riskCurrency) * horizonYears
+            };
+        });
+    
+    const proposedData = {
+        ...simulationData,
+        exposures: simulationData.exposures.map((exposure, index) => {
+            const proposal = proposals.find(p => p.index === index);
+            return proposal ? { ...exposure, hedgeRatio: Math.round(proposal.proposedRatio * 10000) / 10000 } : exposure;
+        })
+    };
+    const after = calculate(proposedData);
+    
+    return {
+        targetVaR: target,
+        targetSource: targetVaR > 0 ? 'target' : 'risk-appetite',
+        targetMet: after.varValue <= target * (1 + 1e-6),
+        before: { varValue: before.varValue, unhedgedExposure: before.unhedgedExposure, hedgedExposure: before.hedgedExposure },
+        after: { varValue: after.varValue, unhedgedExposure: after.unhedgedExposure, hedgedExposure: after.hedgedExposure },
+        cost: cost,
+        proposals: proposals,
+        simulationData: proposedData
+    };
+}
+
 // Export functions for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     // For Node.js/CommonJS
     module.exports = {
         calculateSimulationResults,
         convertToBaseCurrency,
+        getExchangeRate,
+        getCurrencyLegs,
+        getRiskLegs,
         calculateRiskScore,
+        getRiskScoreMeasures,
         calculateVaR,
+        calculateUndiversifiedVaR,
+        calculateVaRContributions,
+        getCorrelation,
+        checkCorrelations,
+        repairCorrelationMatrix,
+        runMonteCarloSimulation,
+        buildPnlHistogram,
+        calculateHistoricalVaR,
+        calculateEmpiricalVolatilities,
+        calculateEwmaVolatility,
+        fitGarchVolatility,
+        estimatePairVolatility,
+        needsRateHistory,
+        selectRateHistory,
         generateStressScenarios,
-        calculateStressTestResults
+        calculateStressTestResults,
+        calculateHedgePnl,
+        getScenarioShock,
+        calculateReverseStressTest,
+        expandCashFlows,
+        buildExposureLadder,
+        compareSimulations,
+        optimizeHedges,
+        getTargetVaR,
+        getZScore,
+        normalizeConfidenceLevel,
+        formatConfidenceLevel,
+        TENOR_BUCKETS,
+        VAR_CONFIDENCE_LEVELS,
+        VOLATILITY_SOURCES,
+        EWMA_LAMBDA,
+        DEFAULT_CONFIDENCE_LEVEL,
+        RISK_SCORE_FACTORS,
+        DEFAULT_RISK_SCORE_WEIGHTS,
+        RISK_APPETITE_VAR_LIMITS,
+        DEFAULT_HEDGE_COST,
+        HISTORICAL_STRESS_SCENARIOS,
+        EXCHANGE_RATES,
+        DEFAULT_CORRELATIONS,
+        DEFAULT_CROSS_CORRELATION
     };
 } else {
     // For browser
@@ -300,9 +2549,51 @@ if (typeof module !== 'undefined' && module.exports) {
     window.FXRES.simulation = {
         calculateSimulationResults,
         convertToBaseCurrency,
+        getExchangeRate,
+        getCurrencyLegs,
+        getRiskLegs,
         calculateRiskScore,
+        getRiskScoreMeasures,
         calculateVaR,
+        calculateUndiversifiedVaR,
+        calculateVaRContributions,
+        getCorrelation,
+        checkCorrelations,
+        repairCorrelationMatrix,
+        runMonteCarloSimulation,
+        buildPnlHistogram,
+        calculateHistoricalVaR,
+        calculateEmpiricalVolatilities,
+        calculateEwmaVolatility,
+        fitGarchVolatility,
+        estimatePairVolatility,
+        needsRateHistory,
+        selectRateHistory,
         generateStressScenarios,
-        calculateStressTestResults
+        calculateStressTestResults,
+        calculateHedgePnl,
+        getScenarioShock,
+        calculateReverseStressTest,
+        expandCashFlows,
+        buildExposureLadder,
+        compareSimulations,
+        optimizeHedges,
+        getTargetVaR,
+        getZScore,
+        normalizeConfidenceLevel,
+        formatConfidenceLevel,
+        TENOR_BUCKETS,
+        VAR_CONFIDENCE_LEVELS,
+        VOLATILITY_SOURCES,
+        EWMA_LAMBDA,
+        DEFAULT_CONFIDENCE_LEVEL,
+        RISK_SCORE_FACTORS,
+        DEFAULT_RISK_SCORE_WEIGHTS,
+        RISK_APPETITE_VAR_LIMITS,
+        DEFAULT_HEDGE_COST,
+        HISTORICAL_STRESS_SCENARIOS,
+        EXCHANGE_RATES,
+        DEFAULT_CORRELATIONS,
+        DEFAULT_CROSS_CORRELATION
     };
 }
\ No newline at end of file
@@ -3,10 +3,17 @@
  * 
  * This module handles the application state management, including:
  * - Loading and saving simulation data to localStorage
+ * - Managing a workspace library of named simulations and the active one
  * - Managing the current simulation state
  * - Providing helper methods for state manipulation
  */
 
+// localStorage keys
+const WORKSPACE_STORAGE_KEY = 'fxresWorkspace';
+const LEGACY_STORAGE_KEY = 'fxresSimulationData'; // single-slot storage used before the workspace library
+const VERSION_HISTORY_STORAGE_KEY = 'fxresVersionHistory';
+const VERSION_POLICY_STORAGE_KEY = 'fxresVersionPolicy';
+
 // Default simulation data structure
 const DEFAULT_SIMULATION = {
     simulationName: 'New FX Exposure Analysis',
@@ -14,27 +21,89 @@ const DEFAULT_SIMULATION = {
     riskAppetite: 3, // 1-5 scale (1=Low risk, 5=High risk)
     timeHorizon: 30, // days
     includeStressTests: true,
+    varMethod: 'parametric', // 'parametric' or 'historical'
+    confidenceLevel: 0.95, // confidence level of the headline VaR
+    reportConfidenceLevels: [0.90, 0.95, 0.99, 0.995], // VaR is also reported at these levels
+    historicalLookbackDays: 250, // daily observations used by historical simulation
+    monteCarloPaths: 5000, // number of simulated paths
+    monteCarloSeed: 12345, // seed for reproducible Monte Carlo results
+    rateSnapshotId: null, // exchange rate snapshot used; null means the latest, recorded here when the simulation is run
+    ratesAsOf: null, // "as of" date of the recorded rate snapshot
+    stressScenarios: null, // stress scenarios with per-currency shocks; null uses the historical library
+    reverseStressLoss: null, // loss limit (base currency) for the reverse stress test; null skips it
+    pairVolatilities: {}, // volatility per pair ("EUR/USD": { method: 'direct'|'implied'|'ewma'|'garch', volatility })
+    hedgeCosts: {}, // annual hedging cost per currency as a share of notional, used by the hedge optimizer
     notes: '',
     exposures: [],
     lastUpdated: new Date().toISOString()
 };
 
+// Default workspace structure
+const DEFAULT_WORKSPACE = {
+    activeSimulationId: null,
+    simulations: [],
+    policyRules: null, // hedging policy rules; null uses the policy engine's defaults
+    riskScoreWeights: null // risk score factor weights; null uses the engine's defaults
+};
+
+// Default version history policy; the newest version of a simulation is always kept
+const DEFAULT_VERSION_POLICY = {
+    maxVersions: 50, // versions kept per simulation
+    maxAgeDays: 180 // versions older than this are pruned; 0 keeps them regardless of age
+};
+
+// Simulation fields that are not compared between versions
+const VERSION_IGNORED_FIELDS = ['id', 'exposures', 'createdAt', 'lastUpdated', 'archived'];
+
 // Default exposure template
 const DEFAULT_EXPOSURE = {
     id: generateId(),
     currencyPair: { from: 'EUR', to: 'USD' },
     amount: '100000',
-    isHedged: false,
+    direction: 'receivable', // 'receivable' (long the currency) or 'payable' (short)
+    entity: '', // legal entity holding the exposure, for netting
+    externalId: '', // key from the source system; re-imports update the exposure with this key
+    settlementDate: '', // YYYY-MM-DD; empty for an undated exposure
+    recurrence: { frequency: 'none', occurrences: 1 }, // repeat the amount weekly, monthly, quarterly, semiannual or annual
+    hedgeRatio: 0, // share of the amount hedged at spot without instrument details (0-1)
+    hedges: [], // hedge instruments (forwards and options)
     volatilityFactor: 3, // 1-5 scale (1=Low, 5=High)
     notes: ''
 };
 
+// Hedge instrument templates
+const DEFAULT_FORWARD_HEDGE = {
+    type: 'forward',
+    direction: 'sell', // sell the exposure currency forward (buy for payables)
+    notional: '', // in the exposure currency
+    rate: '', // forward rate, quoted like the exposure's currency pair
+    maturity: '' // YYYY-MM-DD
+};
+
+const DEFAULT_OPTION_HEDGE = {
+    type: 'option',
+    optionType: 'put', // bought put or call on the exposure currency
+    notional: '', // in the exposure currency
+    strike: '', // quoted like the exposure's currency pair
+    premium: '', // total premium paid, in the base currency
+    expiry: '' // YYYY-MM-DD
+};
+
 // Available currencies for selection
 const CURRENCIES = [
     'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'HKD', 'SGD',
     'SEK', 'NZD', 'MXN', 'NOK', 'KRW', 'INR', 'BRL', 'ZAR', 'RUB', 'TRY'
 ];
 
+// Display names for the available currencies
+const CURRENCY_NAMES = {
+    USD: 'US Dollar', EUR: 'Euro', GBP: 'British Pound', JPY: 'Japanese Yen',
+    AUD: 'Australian Dollar', CAD: 'Canadian Dollar', CHF: 'Swiss Franc', CNY: 'Chinese Yuan',
+    HKD: 'Hong Kong Dollar', SGD: 'Singapore Dollar', SEK: 'Swedish Krona', NZD: 'New Zealand Dollar',
+    MXN: 'Mexican Peso', NOK: 'Norwegian Krone', KRW: 'South Korean Won', INR: 'Indian Rupee',
+    BRL: 'Brazilian Real', ZAR: 'South African Rand', RUB: 'Russian Ruble', TRY: 'Turkish Lira'
+};
+
 // Available risk appetite options
 const RISK_APPETITE_OPTIONS = [
     { value: 1, label: 'Very Low' },
@@ -55,6 +124,97 @@ const TIME_HORIZON_OPTIONS = [
     { value: 365, label: '1 Year' }
 ];
 
+// Import/export envelope: bump the schema version when the format changes and add
+// a step to migrateExportEnvelope
+const EXPORT_FORMAT = 'fxres-export';
+const EXPORT_SCHEMA_VERSION = 1;
+
+const EXPORT_SCENARIO_SCHEMA = {
+    type: 'object',
+    required: ['name', 'shocks'],
+    properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+        defaultShock: { type: 'number' },
+        shocks: { type: 'object' }
+    }
+};
+
+const EXPORT_SCHEMA = {
+    type: 'object',
+    required: ['format', 'schemaVersion', 'simulations', 'rateSnapshots', 'scenarios'],
+    properties: {
+        format: { type: 'string', enum: [EXPORT_FORMAT] },
+        schemaVersion: { type: 'number' },
+        exportedAt: { type: 'string' },
+        activeSimulationId: { type: ['string', 'null'] },
+        simulations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'exposures'],
+                properties: {
+                    id: { type: 'string' },
+                    simulationName: { type: 'string' },
+                    baseCurrency: { type: 'string', enum: CURRENCIES },
+                    riskAppetite: { type: 'number' },
+                    timeHorizon: { type: 'number' },
+                    confidenceLevel: { type: 'number' },
+                    reportConfidenceLevels: { type: 'array', items: { type: 'number' } },
+                    correlationOverrides: { type: 'object' },
+                    pairVolatilities: { type: 'object' },
+                    exposures: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['currencyPair', 'amount'],
+                            properties: {
+                                currencyPair: {
+                                    type: 'object',
+                                    required: ['from', 'to'],
+                                    properties: {
+                                        from: { type: 'string', enum: CURRENCIES },
+                                        to: { type: 'string', enum: CURRENCIES }
+                                    }
+                                },
+                                amount: { type: ['string', 'number'] },
+                                settlementDate: { type: 'string', format: 'date' },
+                                hedgeRatio: { type: 'number' },
+                                hedges: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['type'],
+                                        properties: {
+                                            expiry: { type: 'string', format: 'date' },
+                                            maturity: { type: 'string', format: 'date' }
+                                        }
+                                    }
+                                },
+                                volatilityFactor: { type: 'number' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        rateSnapshots: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'asOf', 'rates'],
+                properties: {
+                    id: { type: 'string' },
+                    asOf: { type: 'string' },
+                    rates: { type: 'object' },
+                    volatilities: { type: 'object' }
+                }
+            }
+        },
+        scenarios: { type: 'object' }
+    }
+};
+
 /**
  * Generate a unique ID
  * @returns {string} A unique identifier
@@ -68,17 +228,165 @@ function generateId() {
 }
 
 /**
- * Get the current simulation data from localStorage
- * @returns {Object} The current simulation data
+ * Bring an exposure up to the current format: the isHedged flag used before hedge
+ * instruments becomes a full (1) or zero hedge ratio
+ * @param {Object} exposure - The stored exposure
+ * @returns {Object} The exposure with hedgeRatio and hedges
  */
-function getSimulationData() {
+function normalizeExposure(exposure) {
+    const { isHedged, ...rest } = exposure;
+    return {
+        ...rest,
+        hedgeRatio: exposure.hedgeRatio !== undefined ? exposure.hedgeRatio : (isHedged ? 1 : 0),
+        hedges: Array.isArray(exposure.hedges) ? exposure.hedges : [],
+        direction: exposure.direction || 'receivable',
+        entity: exposure.entity || '',
+        settlementDate: exposure.settlementDate || '',
+        recurrence: exposure.recurrence || { frequency: 'none', occurrences: 1 }
+    };
+}
+
+/**
+ * Load the workspace library from localStorage, migrating legacy
+ * single-slot data on first access
+ * @returns {Object} The workspace ({ activeSimulationId, simulations })
+ */
+function getWorkspace() {
     try {
-        const savedData = localStorage.getItem('fxresSimulationData');
-        if (savedData) {
-            return JSON.parse(savedData);
+        const savedWorkspace = localStorage.getItem(WORKSPACE_STORAGE_KEY);
+        if (savedWorkspace) {
+            const workspace = JSON.parse(savedWorkspace);
+            const simulations = Array.isArray(workspace.simulations) ? workspace.simulations : [];
+            return {
+                ...DEFAULT_WORKSPACE,
+                ...workspace,
+                simulations: simulations.map(simulation => ({
+                    ...simulation,
+                    exposures: (simulation.exposures || []).map(normalizeExposure)
+                }))
+            };
+        }
+        
+        const migrated = migrateLegacySimulationData();
+        if (migrated) {
+            return migrated;
         }
     } catch (error) {
-        console.error('Error loading simulation data:', error);
+        console.error('Error loading workspace:', error);
+    }
+    
+    return { ...DEFAULT_WORKSPACE, simulations: [] };
+}
+
+/**
+ * Save the workspace library to localStorage
+ * @param {Object} workspace - The workspace to save
+ * @returns {boolean} Whether the workspace was saved
+ */
+function saveWorkspace(workspace) {
+    try {
+        localStorage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify(workspace));
+        return true;
+    } catch (error) {
+        console.error('Error saving workspace:', error);
+        return false;
+    }
+}
+
+/**
+ * Move a simulation stored under the legacy single-slot key into a new workspace
+ * @returns {Object|null} The migrated workspace, or null if there was nothing to migrate
+ */
+function migrateLegacySimulationData() {
+    const legacyData = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!legacyData) return null;
+    
+    const legacySimulation = JSON.parse(legacyData);
+    const now = new Date().toISOString();
+    const simulation = {
+        ...DEFAULT_SIMULATION,
+        ...legacySimulation,
+        id: legacySimulation.id || generateId(),
+        notes: legacySimulation.notes || legacySimulation.simulationNotes || '',
+        exposures: (legacySimulation.exposures || []).map(exposure => normalizeExposure({
+            ...exposure,
+            id: exposure.id || generateId()
+        })),
+        createdAt: legacySimulation.createdAt || legacySimulation.lastUpdated || now,
+        lastUpdated: legacySimulation.lastUpdated || now,
+        archived: false
+    };
+    
+    const workspace = {
+        ...DEFAULT_WORKSPACE,
+        activeSimulationId: simulation.id,
+        simulations: [simulation]
+    };
+    
+    if (saveWorkspace(workspace)) {
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+    }
+    return workspace;
+}
+
+/**
+ * List the simulations in the workspace, most recently updated first
+ * @param {Object} options - List options
+ * @param {boolean} options.includeArchived - Whether to include archived simulations
+ * @returns {Array} The simulations
+ */
+function listSimulations(options = {}) {
+    const { includeArchived = false } = options;
+    return getWorkspace().simulations
+        .filter(simulation => includeArchived || !simulation.archived)
+        .sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || ''));
+}
+
+/**
+ * Get a simulation from the workspace by its ID
+ * @param {string} simulationId - The ID of the simulation
+ * @returns {Object|null} The simulation, or null if not found
+ */
+function getSimulation(simulationId) {
+    return getWorkspace().simulations.find(s => s.id === simulationId) || null;
+}
+
+/**
+ * Get the ID of the active simulation
+ * @returns {string|null} The active simulation ID, or null if none is active
+ */
+function getActiveSimulationId() {
+    const workspace = getWorkspace();
+    const exists = workspace.simulations.some(s => s.id === workspace.activeSimulationId);
+    return exists ? workspace.activeSimulationId : null;
+}
+
+/**
+ * Make a simulation the active one, so input and results pages load it
+ * @param {string} simulationId - The ID of the simulation to open
+ * @returns {Object|null} The opened simulation, or null if not found
+ */
+function openSimulation(simulationId) {
+    const workspace = getWorkspace();
+    const simulation = workspace.simulations.find(s => s.id === simulationId);
+    
+    if (!simulation) {
+        console.error(`Simulation with ID ${simulationId} not found`);
+        return null;
+    }
+    
+    saveWorkspace({ ...workspace, activeSimulationId: simulationId });
+    return simulation;
+}
+
+/**
+ * Get the active simulation data
+ * @returns {Object} The active simulation data, or a new default simulation if none is active
+ */
+function getSimulationData() {
+    const activeId = getActiveSimulationId();
+    if (activeId) {
+        return getSimulation(activeId);
     }
     
     // Return a new default simulation if none exists
@@ -86,16 +394,39 @@ function getSimulationData() {
 }
 
 /**
- * Save the current simulation data to localStorage
+ * Save simulation data into the workspace and make it the active simulation.
+ * Data without an ID is saved over the active simulation, or as a new one.
+ * Each save that changes the simulation is recorded in its version history, unless
+ * recordVersion is false; bulk writers skip it on intermediate saves and record
+ * one version at the end.
  * @param {Object} data - The simulation data to save
+ * @param {Object} options - Save options
+ * @param {string} options.comment - Optional comment for the version
+ * @param {boolean} options.recordVersion - Record a version for this save (default true)
  */
-function saveSimulationData(data) {
+function saveSimulationData(data, options = {}) {
     try {
+        const workspace = getWorkspace();
+        const id = data.id || workspace.activeSimulationId || generateId();
+        const existing = workspace.simulations.find(s => s.id === id);
         const dataToSave = {
+            ...existing,
             ...data,
+            id: id,
+            createdAt: (existing && existing.createdAt) || data.createdAt || new Date().toISOString(),
             lastUpdated: new Date().toISOString()
         };
-        localStorage.setItem('fxresSimulationData', JSON.stringify(dataToSave));
+        
+        const simulations = existing
+            ? workspace.simulations.map(s => (s.id === id ? dataToSave : s))
+            : [...workspace.simulations, dataToSave];
+        
+        if (!saveWorkspace({ ...workspace, activeSimulationId: id, simulations })) {
+            return false;
+        }
+        if (options.recordVersion !== false) {
+            recordVersion(dataToSave, options.comment);
+        }
         return true;
     } catch (error) {
         console.error('Error saving simulation data:', error);
@@ -104,29 +435,138 @@ function saveSimulationData(data) {
 }
 
 /**
- * Create a new simulation
+ * Create a new simulation and make it the active one
  * @param {Object} options - Optional simulation options
+ * @param {string} comment - Optional comment for the first version
  * @returns {Object} The new simulation data
  */
-function createNewSimulation(options = {}) {
+function createNewSimulation(options = {}, comment = '') {
     const newSimulation = {
         ...DEFAULT_SIMULATION,
         ...options,
         id: generateId(),
+        archived: false,
         createdAt: new Date().toISOString(),
         lastUpdated: new Date().toISOString()
     };
     
-    saveSimulationData(newSimulation);
+    saveSimulationData(newSimulation, { comment });
     return newSimulation;
 }
 
+/**
+ * Duplicate a simulation and make the copy the active one
+ * @param {string} simulationId - The ID of the simulation to duplicate
+ * @param {Object} overrides - Optional values to apply to the copy
+ * @returns {Object|null} The copy, or null if the source was not found
+ */
+function duplicateSimulation(simulationId, overrides = {}) {
+    const source = getSimulation(simulationId);
+    if (!source) {
+        console.error(`Simulation with ID ${simulationId} not found`);
+        return null;
+    }
+    
+    return createNewSimulation({
+        ...source,
+        simulationName: `${source.simulationName} (Copy)`,
+        exposures: source.exposures.map(exposure => ({ ...exposure })),
+        ...overrides
+    });
+}
+
+/**
+ * Apply updates to a simulation in the workspace without changing the active simulation.
+ * The save is recorded as a version like saveSimulationData.
+ * @param {string} simulationId - The ID of the simulation
+ * @param {Object} updates - The updates to apply
+ * @param {Object} options - Save options, as for saveSimulationData
+ * @returns {Object|null} The updated simulation, or null if not found
+ */
+function patchSimulation(simulationId, updates, options = {}) {
+    const workspace = getWorkspace();
+    const simulation = workspace.simulations.find(s => s.id === simulationId);
+    
+    if (!simulation) {
+        console.error(`Simulation with ID ${simulationId} not found`);
+        return null;
+    }
+    
+    const updatedSimulation = {
+        ...simulation,
+        ...updates,
+        lastUpdated: new Date().toISOString()
+    };
+    
+    if (!saveWorkspace({
+        ...workspace,
+        simulations: workspace.simulations.map(s => (s.id === simulationId ? updatedSimulation : s))
+    })) {
+        return null;
+    }
+    if (options.recordVersion !== false) {
+        recordVersion(updatedSimulation, options.comment);
+    }
+    return updatedSimulation;
+}
+
+/**
+ * Rename a simulation
+ * @param {string} simulationId - The ID of the simulation
+ * @param {string} simulationName - The new name
+ * @returns {Object|null} The updated simulation, or null if not found
+ */
+function renameSimulation(simulationId, simulationName) {
+    return patchSimulation(simulationId, { simulationName }, { comment: `Renamed to "${simulationName}"` });
+}
+
+/**
+ * Archive or unarchive a simulation. Archived simulations are hidden from the library by default.
+ * @param {string} simulationId - The ID of the simulation
+ * @param {boolean} archived - Whether the simulation should be archived
+ * @returns {Object|null} The updated simulation, or null if not found
+ */
+function archiveSimulation(simulationId, archived = true) {
+    return patchSimulation(simulationId, { archived }, { comment: archived ? 'Archived' : 'Unarchived' });
+}
+
+/**
+ * Delete a simulation from the workspace. If it was active, the most recently
+ * updated remaining simulation becomes active.
+ * @param {string} simulationId - The ID of the simulation to delete
+ * @returns {boolean} Whether the simulation was deleted
+ */
+function deleteSimulation(simulationId) {
+    const workspace = getWorkspace();
+    const simulations = workspace.simulations.filter(s => s.id !== simulationId);
+    
+    if (simulations.length === workspace.simulations.length) {
+        console.error(`Simulation with ID ${simulationId} not found`);
+        return false;
+    }
+    
+    let activeSimulationId = workspace.activeSimulationId;
+    if (activeSimulationId === simulationId) {
+        const next = simulations
+            .filter(s => !s.archived)
+            .sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || ''))[0];
+        activeSimulationId = next ? next.id : null;
+    }
+    
+    const history = getVersionHistory();
+    delete history[simulationId];
+    saveVersionHistory(history);
+    
+    return saveWorkspace({ ...workspace, activeSimulationId, simulations });
+}
+
 /**
  * Add a new exposure to the current simulation
  * @param {Object} exposure - The exposure data to add
+ * @param {Object} options - Save options for saveSimulationData ({ comment, recordVersion })
  * @returns {Object} The updated simulation data
  */
-function addExposure(exposure) {
+function addExposure(exposure, options = {}) {
     const simulation = getSimulationData();
     const newExposure = {
         ...DEFAULT_EXPOSURE,
@@ -139,7 +579,7 @@ function addExposure(exposure) {
         exposures: [...simulation.exposures, newExposure]
     };
     
-    saveSimulationData(updatedSimulation);
+    saveSimulationData(updatedSimulation, options);
     return updatedSimulation;
 }
 
@@ -147,9 +587,10 @@ function addExposure(exposure) {
  * Update an existing exposure
  * @param {string} exposureId - The ID of the exposure to update
  * @param {Object} updates - The updates to apply
+ * @param {Object} options - Save options for saveSimulationData ({ comment, recordVersion })
  * @returns {Object} The updated simulation data
  */
-function updateExposure(exposureId, updates) {
+function updateExposure(exposureId, updates, options = {}) {
     const simulation = getSimulationData();
     const exposureIndex = simulation.exposures.findIndex(e => e.id === exposureId);
     
@@ -169,16 +610,17 @@ function updateExposure(exposureId, updates) {
         exposures: updatedExposures
     };
     
-    saveSimulationData(updatedSimulation);
+    saveSimulationData(updatedSimulation, options);
     return updatedSimulation;
 }
 
 /**
  * Remove an exposure from the current simulation
  * @param {string} exposureId - The ID of the exposure to remove
+ * @param {Object} options - Save options for saveSimulationData ({ comment, recordVersion })
  * @returns {Object} The updated simulation data
  */
-function removeExposure(exposureId) {
+function removeExposure(exposureId, options = {}) {
     const simulation = getSimulationData();
     const updatedExposures = simulation.exposures.filter(e => e.id !== exposureId);
     
@@ -187,32 +629,98 @@ function removeExposure(exposureId) {
         exposures: updatedExposures
     };
     
-    saveSimulationData(updatedSimulation);
+    saveSimulationData(updatedSimulation, options);
     return updatedSimulation;
 }
 
+/**
+ * Attach a hedge instrument to an exposure
+ * @param {string} exposureId - The ID of the exposure to hedge
+ * @param {Object} hedge - The instrument ({ type: 'forward' | 'option', ... })
+ * @param {Object} options - Save options for saveSimulationData ({ comment, recordVersion })
+ * @returns {Object} The updated simulation data
+ */
+function addHedge(exposureId, hedge, options = {}) {
+    const exposure = getSimulationData().exposures.find(e => e.id === exposureId);
+    if (!exposure) {
+        console.error(`Exposure with ID ${exposureId} not found`);
+        return getSimulationData();
+    }
+    
+    const template = hedge.type === 'option' ? DEFAULT_OPTION_HEDGE : DEFAULT_FORWARD_HEDGE;
+    const newHedge = {
+        ...template,
+        ...hedge,
+        id: generateId()
+    };
+    
+    return updateExposure(exposureId, { hedges: [...(exposure.hedges || []), newHedge] }, options);
+}
+
+/**
+ * Update a hedge instrument of an exposure
+ * @param {string} exposureId - The ID of the exposure
+ * @param {string} hedgeId - The ID of the instrument
+ * @param {Object} updates - The updates to apply
+ * @param {Object} options - Save options for saveSimulationData ({ comment, recordVersion })
+ * @returns {Object} The updated simulation data
+ */
+function updateHedge(exposureId, hedgeId, updates, options = {}) {
+    const exposure = getSimulationData().exposures.find(e => e.id === exposureId);
+    if (!exposure || !(exposure.hedges || []).some(h => h.id === hedgeId)) {
+        console.error(`Hedge with ID ${hedgeId} not found`);
+        return getSimulationData();
+    }
+    
+    return updateExposure(exposureId, {
+        hedges: exposure.hedges.map(h => (h.id === hedgeId ? { ...h, ...updates } : h))
+    }, options);
+}
+
+/**
+ * Remove a hedge instrument from an exposure
+ * @param {string} exposureId - The ID of the exposure
+ * @param {string} hedgeId - The ID of the instrument to remove
+ * @param {Object} options - Save options for saveSimulationData ({ comment, recordVersion })
+ * @returns {Object} The updated simulation data
+ */
+function removeHedge(exposureId, hedgeId, options = {}) {
+    const exposure = getSimulationData().exposures.find(e => e.id === exposureId);
+    if (!exposure) {
+        console.error(`Exposure with ID ${exposureId} not found`);
+        return getSimulationData();
+    }
+    
+    return updateExposure(exposureId, {
+        hedges: (exposure.hedges || []).filter(h => h.id !== hedgeId)
+    }, options);
+}
+
 /**
  * Update simulation settings
  * @param {Object} updates - The updates to apply to the simulation
+ * @param {Object} options - Save options for saveSimulationData ({ comment, recordVersion })
  * @returns {Object} The updated simulation data
  */
-function updateSimulation(updates) {
+function updateSimulation(updates, options = {}) {
     const simulation = getSimulationData();
     const updatedSimulation = {
         ...simulation,
         ...updates
     };
     
-    saveSimulationData(updatedSimulation);
+    saveSimulationData(updatedSimulation, options);
     return updatedSimulation;
 }
 
 /**
- * Clear all simulation data
+ * Clear all simulation data, including the whole workspace library
  */
 function clearSimulationData() {
     try {
-        localStorage.removeItem('fxresSimulationData');
+        localStorage.removeItem(WORKSPACE_STORAGE_KEY);
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        localStorage.removeItem(VERSION_HISTORY_STORAGE_KEY);
         return true;
     } catch (error) {
         console.error('Error clearing simulation data:', error);
@@ -220,17 +728,524 @@ function clearSimulationData() {
     }
 }
 
+/**
+ * Load the hedging policy rules stored with the workspace
+ * @returns {Array|null} The rules, or null if the workspace uses the default policy
+ */
+function getPolicyRules() {
+    const rules = getWorkspace().policyRules;
+    return Array.isArray(rules) ? rules : null;
+}
+
+/**
+ * Store hedging policy rules with the workspace
+ * @param {Array|null} rules - The rules, or null to go back to the default policy
+ * @returns {boolean} Whether the rules were saved
+ */
+function savePolicyRules(rules) {
+    const workspace = getWorkspace();
+    workspace.policyRules = Array.isArray(rules) ? rules : null;
+    return saveWorkspace(workspace);
+}
+
+/**
+ * Load the risk score factor weights stored with the workspace
+ * @returns {Object|null} Weights keyed by factor, or null if the workspace uses the defaults
+ */
+function getRiskScoreWeights() {
+    const weights = getWorkspace().riskScoreWeights;
+    return weights && typeof weights === 'object' ? weights : null;
+}
+
+/**
+ * Store risk score factor weights with the workspace
+ * @param {Object|null} weights - Non-negative weights keyed by factor, or null to go back to the defaults
+ * @returns {boolean} Whether the weights were saved
+ */
+function saveRiskScoreWeights(weights) {
+    const workspace = getWorkspace();
+    workspace.riskScoreWeights = weights ? Object.keys(weights).reduce((acc, factor) => {
+        acc[factor] = Math.max(0, parseFloat(weights[factor]) || 0);
+        return acc;
+    }, {}) : null;
+    return saveWorkspace(workspace);
+}
+
+/**
+ * Load the version history of all simulations
+ * @returns {Object} Versions keyed by simulation ID, newest first
+ */
+function getVersionHistory() {
+    try {
+        const savedHistory = localStorage.getItem(VERSION_HISTORY_STORAGE_KEY);
+        if (savedHistory) {
+            return JSON.parse(savedHistory);
+        }
+    } catch (error) {
+        console.error('Error loading version history:', error);
+    }
+    
+    return {};
+}
+
+/**
+ * Save the version history of all simulations
+ * @param {Object} history - Versions keyed by simulation ID
+ * @returns {boolean} Whether the history was saved
+ */
+function saveVersionHistory(history) {
+    try {
+        localStorage.setItem(VERSION_HISTORY_STORAGE_KEY, JSON.stringify(history));
+        return true;
+    } catch (error) {
+        console.error('Error saving version history:', error);
+        return false;
+    }
+}
+
+/**
+ * Get the version history policy
+ * @returns {Object} The policy ({ maxVersions, maxAgeDays })
+ */
+function getVersionPolicy() {
+    try {
+        const savedPolicy = localStorage.getItem(VERSION_POLICY_STORAGE_KEY);
+        if (savedPolicy) {
+            return { ...DEFAULT_VERSION_POLICY, ...JSON.parse(savedPolicy) };
+        }
+    } catch (error) {
+        console.error('Error loading version policy:', error);
+    }
+    
+    return { ...DEFAULT_VERSION_POLICY };
+}
+
+/**
+ * Save the version history policy and prune existing histories to it
+ * @param {Object} policy - The policy ({ maxVersions, maxAgeDays })
+ * @returns {Object} The saved policy
+ */
+function saveVersionPolicy(policy) {
+    const savedPolicy = {
+        maxVersions: Math.max(1, parseInt(policy.maxVersions, 10) || DEFAULT_VERSION_POLICY.maxVersions),
+        maxAgeDays: Math.max(0, parseInt(policy.maxAgeDays, 10) || 0)
+    };
+    
+    try {
+        localStorage.setItem(VERSION_POLICY_STORAGE_KEY, JSON.stringify(savedPolicy));
+    } catch (error) {
+        console.error('Error saving version policy:', error);
+    }
+    
+    const history = getVersionHistory();
+    Object.keys(history).forEach(simulationId => {
+        history[simulationId] = pruneVersions(history[simulationId], savedPolicy);
+    });
+    saveVersionHistory(history);
+    return savedPolicy;
+}
+
+/**
+ * Apply a version policy to a list of versions (newest first). The newest version is
+ * always kept; older ones are dropped past the maximum count or age.
+ * @param {Array} versions - The versions, newest first
+ * @param {Object} policy - The policy ({ maxVersions, maxAgeDays })
+ * @param {Date} now - The current time
+ * @returns {Array} The versions to keep
+ */
+function pruneVersions(versions, policy = getVersionPolicy(), now = new Date()) {
+    const cutoff = policy.maxAgeDays > 0 ? now.getTime() - policy.maxAgeDays * 86400000 : null;
+    
+    return versions.filter((version, index) => index === 0
+        || (index < policy.maxVersions && (cutoff === null || new Date(version.savedAt).getTime() >= cutoff)));
+}
+
+/**
+ * Record a saved simulation as a new version, unless nothing changed since the last
+ * version and no comment was given
+ * @param {Object} simulation - The simulation as saved
+ * @param {string} comment - Optional comment for the version
+ * @returns {Object|null} The new version, or null if none was recorded
+ */
+function recordVersion(simulation, comment = '') {
+    const history = getVersionHistory();
+    const versions = history[simulation.id] || [];
+    const trimmedComment = (comment || '').trim();
+    const data = { ...simulation, exposures: (simulation.exposures || []).map(normalizeExposure) };
+    
+    if (versions.length > 0 && !trimmedComment && !hasSimulationChanges(diffSimulations(versions[0].data, data))) {
+        return null;
+    }
+    
+    const version = {
+        id: generateId(),
+        savedAt: simulation.lastUpdated || new Date().toISOString(),
+        comment: trimmedComment,
+        data: data
+    };
+    history[simulation.id] = pruneVersions([version, ...versions]);
+    
+    // When storage is full, drop the oldest versions of this simulation until it fits
+    while (!saveVersionHistory(history) && history[simulation.id].length > 1) {
+        history[simulation.id] = history[simulation.id].slice(0, -1);
+    }
+    return version;
+}
+
+/**
+ * List the versions of a simulation
+ * @param {string} simulationId - The ID of the simulation
+ * @returns {Array} The versions ({ id, savedAt, comment, data }), newest first
+ */
+function listVersions(simulationId) {
+    return getVersionHistory()[simulationId] || [];
+}
+
+/**
+ * Compare two versions of a simulation
+ * @param {Object} before - The earlier simulation data
+ * @param {Object} after - The later simulation data
+ * @returns {Object} { parameters, exposures: { added, removed, changed } }; parameters and
+ *   changed exposures list their changed fields as { field, before, after }
+ */
+function diffSimulations(before, after) {
+    const diffFields = (a, b, ignored = []) => [...new Set([...Object.keys(a || {}), ...Object.keys(b || {})])]
+        .filter(field => !ignored.includes(field))
+        .filter(field => JSON.stringify(a ? a[field] : undefined) !== JSON.stringify(b ? b[field] : undefined))
+        .map(field => ({ field, before: a ? a[field] : undefined, after: b ? b[field] : undefined }));
+    
+    const beforeExposures = (before && before.exposures) || [];
+    const afterExposures = (after && after.exposures) || [];
+    const beforeIds = new Set(beforeExposures.map(e => e.id));
+    const afterIds = new Set(afterExposures.map(e => e.id));
+    
+    return {
+        parameters: diffFields(before, after, VERSION_IGNORED_FIELDS),
+        exposures: {
+            added: afterExposures.filter(e => !beforeIds.has(e.id)),
+            removed: beforeExposures.filter(e => !afterIds.has(e.id)),
+            changed: afterExposures
+                .filter(e => beforeIds.has(e.id))
+                .map(e => {
+                    const previous = beforeExposures.find(p => p.id === e.id);
+                    return { id: e.id, before: previous, after: e, fields: diffFields(previous, e, ['id']) };
+                })
+                .filter(change => change.fields.length > 0)
+        }
+    };
+}
+
+/**
+ * Whether a diff from diffSimulations has any changes
+ * @param {Object} diff - The diff
+ * @returns {boolean} Whether anything changed
+ */
+function hasSimulationChanges(diff) {
+    return diff.parameters.length > 0
+        || diff.exposures.added.length > 0
+        || diff.exposures.removed.length > 0
+        || diff.exposures.changed.length > 0;
+}
+
+/**
+ * Restore a simulation to an earlier version and make it the active simulation.
+ * The restore is saved as a new version, so it can be undone.
+ * @param {string} simulationId - The ID of the simulation
+ * @param {string} versionId - The ID of the version to restore
+ * @returns {Object|null} The restored simulation, or null if the version was not found
+ */
+function restoreVersion(simulationId, versionId) {
+    const version = listVersions(simulationId).find(v => v.id === versionId);
+    if (!version) {
+        console.error(`Version ${versionId} of simulation ${simulationId} not found`);
+        return null;
+    }
+    
+    const { createdAt, lastUpdated, archived, ...data } = version.data;
+    const comment = `Restored version from ${new Date(version.savedAt).toLocaleString()}`;
+    if (!saveSimulationData({ ...data, id: simulationId }, { comment })) {
+        return null;
+    }
+    return getSimulation(simulationId);
+}
+
+/**
+ * Whether a string is a calendar date written as YYYY-MM-DD
+ */
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate a value against a schema of the form { type, required, properties, items, enum, format }.
+ * Types are 'object', 'array', 'string', 'number', 'boolean' or 'null', or a list of them.
+ * The only format is 'date': a YYYY-MM-DD calendar date, or an empty string for none.
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema
+ * @param {string} path - Path of the value, used in error messages
+ * @param {Array<string>} errors - Collected error messages
+ * @returns {Array<string>} The error messages
+ */
+function validateAgainstSchema(value, schema, path = 'data', errors = []) {
+    const types = [].concat(schema.type || []);
+    const actualType = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    
+    if (types.length > 0 && !types.includes(actualType)) {
+        errors.push(`${path} should be ${types.join(' or ')}, not ${actualType}`);
+        return errors;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+    }
+    if (schema.format === 'date' && actualType === 'string' && value !== '' && !isCalendarDate(value)) {
+        errors.push(`${path} should be a date (YYYY-MM-DD)`);
+    }
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}.${key} is missing`);
+        });
+        Object.keys(schema.properties || {}).forEach(key => {
+            if (value[key] !== undefined) {
+                validateAgainstSchema(value[key], schema.properties[key], `${path}.${key}`, errors);
+            }
+        });
+    }
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => validateAgainstSchema(item, schema.items, `${path}[${index}]`, errors));
+    }
+    return errors;
+}
+
+/**
+ * Build an export envelope for sharing or backing up simulations
+ * @param {Array<string>} simulationIds - Simulations to export (defaults to the whole workspace)
+ * @returns {Object} The envelope ({ format, schemaVersion, exportedAt, activeSimulationId,
+ *   simulations, rateSnapshots, scenarios }); scenarios holds each simulation's stress scenarios by ID
+ */
+function createExportEnvelope(simulationIds = null) {
+    const workspace = getWorkspace();
+    const simulations = simulationIds
+        ? workspace.simulations.filter(s => simulationIds.includes(s.id))
+        : workspace.simulations;
+    
+    // Rate snapshots the simulations were run with, when the rate store is loaded
+    const rates = window.FXRES && window.FXRES.rates;
+    const rateSnapshots = rates
+        ? simulations
+            .map(simulation => rates.getSnapshotForSimulation(simulation))
+            .filter((snapshot, index, list) => snapshot && list.findIndex(s => s.id === snapshot.id) === index)
+        : [];
+    
+    const scenarios = {};
+    simulations.forEach(simulation => {
+        scenarios[simulation.id] = simulation.stressScenarios;
+    });
+    
+    return {
+        format: EXPORT_FORMAT,
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        activeSimulationId: simulations.some(s => s.id === workspace.activeSimulationId) ? workspace.activeSimulationId : null,
+        simulations: simulations.map(({ stressScenarios, ...simulation }) => simulation),
+        rateSnapshots: rateSnapshots,
+        scenarios: scenarios
+    };
+}
+
+/**
+ * Bring an export from an older schema version up to the current one. Version 0 is
+ * a bare simulation, or a bare workspace, as written before the envelope existed.
+ * @param {Object} data - The parsed export
+ * @returns {Object} The envelope in the current schema version
+ */
+function migrateExportEnvelope(data) {
+    let envelope = data;
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('The file does not contain an FXRES export');
+    }
+    if (data.format !== EXPORT_FORMAT) {
+        if (Array.isArray(data.exposures)) {
+            envelope = { format: EXPORT_FORMAT, schemaVersion: 0, simulations: [data] };
+        } else if (Array.isArray(data.simulations)) {
+            envelope = { ...data, format: EXPORT_FORMAT, schemaVersion: 0 };
+        } else {
+            throw new Error('The file does not contain an FXRES export');
+        }
+    }
+    
+    if (envelope.schemaVersion > EXPORT_SCHEMA_VERSION) {
+        throw new Error(`The file was exported by a newer version (schema ${envelope.schemaVersion}); update the app to import it`);
+    }
+    
+    // Version 0 -> 1: stress scenarios move from the simulations into the envelope
+    if (envelope.schemaVersion === 0) {
+        const scenarios = {};
+        const simulations = (envelope.simulations || []).map(simulation => {
+            const id = simulation.id || generateId();
+            const { stressScenarios, ...rest } = simulation;
+            scenarios[id] = stressScenarios === undefined ? null : stressScenarios;
+            return { ...rest, id };
+        });
+        envelope = {
+            ...envelope,
+            schemaVersion: 1,
+            activeSimulationId: envelope.activeSimulationId || null,
+            simulations: simulations,
+            rateSnapshots: envelope.rateSnapshots || [],
+            scenarios: scenarios
+        };
+    }
+    
+    return envelope;
+}
+
+/**
+ * Parse, migrate and validate an export envelope without importing it
+ * @param {Object|string} data - The envelope, or its JSON text
+ * @returns {Object} { valid, errors, envelope } with the envelope in the current schema version
+ */
+function readExportEnvelope(data) {
+    let envelope;
+    
+    try {
+        envelope = migrateExportEnvelope(typeof data === 'string' ? JSON.parse(data) : data);
+    } catch (error) {
+        return { valid: false, errors: [error.message], envelope: null };
+    }
+    
+    const errors = validateAgainstSchema(envelope, EXPORT_SCHEMA);
+    Object.keys(envelope.scenarios || {}).forEach(simulationId => {
+        validateAgainstSchema(envelope.scenarios[simulationId], { type: ['array', 'null'], items: EXPORT_SCENARIO_SCHEMA },
+            `data.scenarios.${simulationId}`, errors);
+    });
+    
+    return { valid: errors.length === 0, errors, envelope: errors.length === 0 ? envelope : null };
+}
+
+/**
+ * Whether two rate snapshots hold the same rates and volatilities as of the same date
+ */
+function isSameRateSnapshot(a, b) {
+    const sameValues = (x, y) => {
+        const keys = new Set([...Object.keys(x || {}), ...Object.keys(y || {})]);
+        return [...keys].every(key => parseFloat((x || {})[key]) === parseFloat((y || {})[key]));
+    };
+    return a.asOf === b.asOf
+        && sameValues({ USD: 1, ...a.rates }, { USD: 1, ...b.rates })
+        && sameValues(a.volatilities, b.volatilities);
+}
+
+/**
+ * Import an export envelope into the workspace, after migrating and validating it.
+ * Merging adds the simulations alongside the existing ones (simulations whose ID is
+ * already taken get a new one); replacing swaps out all existing simulations and drops
+ * the version history of those that are gone. Rate snapshots are added to the rate
+ * store when it is loaded; one whose ID is taken by a snapshot with different rates
+ * gets a new ID, and the simulations valued at it follow.
+ * @param {Object|string} data - The envelope, or its JSON text
+ * @param {Object} options - Import options
+ * @param {string} options.mode - 'merge' (default) or 'replace'
+ * @returns {Object} { valid, errors, simulations, rateSnapshots } with the imported items
+ */
+function importExportEnvelope(data, options = {}) {
+    const mode = options.mode === 'replace' ? 'replace' : 'merge';
+    const { valid, errors, envelope } = readExportEnvelope(data);
+    if (!valid) {
+        return { valid: false, errors, simulations: [], rateSnapshots: [] };
+    }
+    
+    // Rate snapshots already stored with the same contents are kept as they are
+    const rates = window.FXRES && window.FXRES.rates;
+    const snapshotIdMap = {};
+    const newSnapshots = [];
+    if (rates) {
+        envelope.rateSnapshots.forEach(snapshot => {
+            const stored = rates.getSnapshot(snapshot.id);
+            if (stored && isSameRateSnapshot(stored, snapshot)) return;
+            
+            const id = stored ? generateId() : snapshot.id;
+            snapshotIdMap[snapshot.id] = id;
+            newSnapshots.push({ ...snapshot, id: id });
+        });
+    }
+    
+    const workspace = getWorkspace();
+    const existing = mode === 'replace' ? [] : workspace.simulations;
+    const takenIds = new Set(existing.map(s => s.id));
+    const now = new Date().toISOString();
+    const idMap = {};
+    
+    const imported = envelope.simulations.map(simulation => {
+        const id = takenIds.has(simulation.id) ? generateId() : simulation.id;
+        takenIds.add(id);
+        idMap[simulation.id] = id;
+        
+        const scenarios = envelope.scenarios[simulation.id];
+        return {
+            ...DEFAULT_SIMULATION,
+            ...simulation,
+            id: id,
+            rateSnapshotId: snapshotIdMap[simulation.rateSnapshotId] || simulation.rateSnapshotId || null,
+            stressScenarios: scenarios === undefined ? null : scenarios,
+            exposures: simulation.exposures.map(exposure => normalizeExposure({
+                ...exposure,
+                id: exposure.id || generateId()
+            })),
+            createdAt: simulation.createdAt || now,
+            lastUpdated: simulation.lastUpdated || now,
+            archived: Boolean(simulation.archived)
+        };
+    });
+    
+    const activeSimulationId = idMap[envelope.activeSimulationId]
+        || (mode === 'replace' || !getActiveSimulationId() ? (imported[0] ? imported[0].id : null) : workspace.activeSimulationId);
+    
+    if (!saveWorkspace({ ...workspace, activeSimulationId, simulations: [...existing, ...imported] })) {
+        return { valid: false, errors: ['The workspace could not be saved'], simulations: [], rateSnapshots: [] };
+    }
+    
+    if (mode === 'replace') {
+        const history = getVersionHistory();
+        Object.keys(history)
+            .filter(simulationId => !takenIds.has(simulationId))
+            .forEach(simulationId => { delete history[simulationId]; });
+        saveVersionHistory(history);
+    }
+    
+    const rateSnapshots = newSnapshots.map(snapshot => rates.saveSnapshot(snapshot));
+    
+    return { valid: true, errors: [], simulations: imported, rateSnapshots };
+}
+
 // Export the state management functions
 const FXRES = window.FXRES || {};
 FXRES.state = {
     // Constants
     CURRENCIES,
+    CURRENCY_NAMES,
     RISK_APPETITE_OPTIONS,
     TIME_HORIZON_OPTIONS,
     
     // Defaults
     DEFAULT_SIMULATION,
     DEFAULT_EXPOSURE,
+    DEFAULT_FORWARD_HEDGE,
+    DEFAULT_OPTION_HEDGE,
+    
+    // Workspace library functions
+    getWorkspace,
+    saveWorkspace,
+    listSimulations,
+    getSimulation,
+    getActiveSimulationId,
+    openSimulation,
+    duplicateSimulation,
+    renameSimulation,
+    archiveSimulation,
+    deleteSimulation,
     
     // State management functions
     getSimulationData,
@@ -239,11 +1254,39 @@ FXRES.state = {
     addExposure,
     updateExposure,
     removeExposure,
+    addHedge,
+    updateHedge,
+    removeHedge,
     updateSimulation,
     clearSimulationData,
     
+    // Version history functions
+    listVersions,
+    diffSimulations,
+    hasSimulationChanges,
+    restoreVersion,
+    getVersionPolicy,
+    saveVersionPolicy,
+    
+    // Hedging policy functions
+    getPolicyRules,
+    savePolicyRules,
+    
+    // Risk scoring functions
+    getRiskScoreWeights,
+    saveRiskScoreWeights,
+    
+    // Import/export functions
+    createExportEnvelope,
+    readExportEnvelope,
+    importExportEnvelope,
+    validateAgainstSchema,
+    EXPORT_FORMAT,
+    EXPORT_SCHEMA_VERSION,
+    
     // Helper functions
-    generateId
+    generateId,
+    DEFAULT_EXPOSURE
 };
 
 // Make the state management functions available globally
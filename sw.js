@@ -5,23 +5,39 @@
  * and provides fallback behavior when the network is unavailable.
  */
 
-const CACHE_NAME = 'fxres-v1';
+const CACHE_NAME = 'fxres-v2';
 const CACHE_FILES = [
   // Core files
   '/',
   '/index.html',
   '/input.html',
   '/results.html',
+  '/library.html',
+  '/compare.html',
+  '/market-data.html',
   '/css/styles.css',
   '/js/state.js',
   '/js/simulation.js',
   '/js/export.js',
+  '/js/pdfreport.js',
+  '/js/share.js',
+  '/js/policy.js',
+  '/js/csv.js',
+  '/js/ratehistory.js',
+  '/js/rates.js',
+  '/js/marketdata.js',
+  '/js/exposureimport.js',
+  
+  // Market data shipped with the app (refreshed network-first, see below)
+  '/data/market-data.json',
   
   // External dependencies
   'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css',
   'https://cdn.jsdelivr.net/npm/chart.js',
-  'https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+  'https://cdn.sheetjs.com/xlsx-0.20.2/package/dist/xlsx.full.min.js',
+  'https://cdn.jsdelivr.net/npm/exceljs@4.4.0/dist/exceljs.min.js',
   
   // Icons and images
   '/images/logo-192x192.png',
@@ -32,6 +48,11 @@ const CACHE_FILES = [
   '/manifest.json'
 ];
 
+// The configured market data provider endpoint (see marketdata.js), kept in the cache
+// under this key so it survives the service worker restarting; undefined until looked up
+const PROVIDER_ENDPOINT_KEY = '/__market-data-endpoint';
+let providerEndpoint;
+
 // Install event - cache all static assets
 self.addEventListener('install', (event) => {
   console.log('[Service Worker] Installing Service Worker...');
@@ -79,76 +100,142 @@ self.addEventListener('fetch', (event) => {
     return;
   }
   
-  // Handle API requests differently
-  if (event.request.url.includes('/api/')) {
-    // For API requests, try network first, then cache
-    event.respondWith(
-      fetch(event.request)
+  // Market data is fetched network-first; everything else is served cache-first
+  if (isDataRequest(event.request)) {
+    event.respondWith(networkFirst(event.request));
+  } else {
+    // Possibly the provider endpoint, which is only known once it has been looked up
+    event.respondWith(getProviderEndpoint().then((endpoint) => {
+      return isProviderRequest(event.request, endpoint) ? networkFirst(event.request) : cacheFirst(event.request);
+    }));
+  }
+});
+
+// Message event - the pages send the configured market data provider endpoint
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'market-data-endpoint') {
+    const endpoint = event.data.endpoint || null;
+    event.waitUntil(
+      Promise.all([getProviderEndpoint(), caches.open(CACHE_NAME)])
+        .then(([previous, cache]) => {
+          providerEndpoint = endpoint;
+          return Promise.all([
+            cache.put(PROVIDER_ENDPOINT_KEY, new Response(endpoint || '')),
+            // Drop the response of the endpoint used before
+            previous && previous !== endpoint ? cache.delete(previous) : null
+          ]);
+        })
+    );
+  }
+});
+
+/**
+ * Try the network first and keep the last good response, falling back to the cache
+ * when the network is unavailable. Responses are cached by URL alone, so a provider's
+ * response is found again whatever auth header the request carried.
+ */
+function networkFirst(request) {
+  return fetch(request)
+    .then((response) => {
+      // If the response is good, clone it and store it in the cache
+      if (response.ok) {
+        const responseToCache = response.clone();
+        caches.open(CACHE_NAME)
+          .then((cache) => {
+            cache.put(request.url, responseToCache);
+          });
+      }
+      return response;
+    })
+    .catch(() => {
+      // If network fails, try to get it from the cache
+      return caches.match(request.url, { ignoreVary: true })
+        .then((response) => {
+          // Return cached response or a fallback
+          return response || new Response(JSON.stringify({
+            error: 'You are offline and no cached data is available.'
+          }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        });
+    });
+}
+
+/**
+ * Serve from the cache, falling back to the network
+ */
+function cacheFirst(request) {
+  return caches.match(request)
+    .then((response) => {
+      // Return cached response if found
+      if (response) {
+        return response;
+      }
+      
+      // Otherwise, fetch from network
+      return fetch(request)
         .then((response) => {
-          // If the response is good, clone it and store it in the cache
+          // Check if we received a valid response
+          if (!response || response.status !== 200 || response.type !== 'basic') {
+            return response;
+          }
+          
+          // Clone the response
           const responseToCache = response.clone();
+          
+          // Cache the response for future use
           caches.open(CACHE_NAME)
             .then((cache) => {
-              cache.put(event.request, responseToCache);
+              cache.put(request, responseToCache);
             });
+          
           return response;
         })
         .catch(() => {
-          // If network fails, try to get it from the cache
-          return caches.match(event.request)
-            .then((response) => {
-              // Return cached response or a fallback
-              return response || new Response(JSON.stringify({
-                error: 'You are offline and no cached data is available.'
-              }), {
-                headers: { 'Content-Type': 'application/json' }
-              });
-            });
-        })
-    );
-  } else {
-    // For static assets, try cache first, then network
-    event.respondWith(
-      caches.match(event.request)
-        .then((response) => {
-          // Return cached response if found
-          if (response) {
-            return response;
+          // If both cache and network fail, return a fallback response
+          if ((request.headers.get('accept') || '').includes('text/html')) {
+            // For HTML pages, return the offline page
+            return caches.match('/offline.html');
           }
           
-          // Otherwise, fetch from network
-          return fetch(event.request)
-            .then((response) => {
-              // Check if we received a valid response
-              if (!response || response.status !== 200 || response.type !== 'basic') {
-                return response;
-              }
-              
-              // Clone the response
-              const responseToCache = response.clone();
-              
-              // Cache the response for future use
-              caches.open(CACHE_NAME)
-                .then((cache) => {
-                  cache.put(event.request, responseToCache);
-                });
-              
-              return response;
-            })
-            .catch(() => {
-              // If both cache and network fail, return a fallback response
-              if (event.request.headers.get('accept').includes('text/html')) {
-                // For HTML pages, return the offline page
-                return caches.match('/offline.html');
-              }
-              
-              // For other file types, return a generic error
-              return new Response('You are offline and this resource is not cached.');
-            });
-        })
-    );
+          // For other file types, return a generic error
+          return new Response('You are offline and this resource is not cached.');
+        });
+    });
+}
+
+/**
+ * Whether a request fetches market data shipped with the app, which should stay fresh
+ */
+function isDataRequest(request) {
+  const url = new URL(request.url);
+  return url.origin === self.location.origin && url.pathname.startsWith('/data/');
+}
+
+/**
+ * Whether a request calls the configured market data provider (see marketdata.js)
+ */
+function isProviderRequest(request, endpoint) {
+  return Boolean(endpoint) && request.url === endpoint;
+}
+
+/**
+ * The configured provider endpoint, restored from the cache after the service worker
+ * restarts
+ */
+function getProviderEndpoint() {
+  if (providerEndpoint !== undefined) {
+    return Promise.resolve(providerEndpoint);
   }
-});
+  return caches.open(CACHE_NAME)
+    .then((cache) => cache.match(PROVIDER_ENDPOINT_KEY))
+    .then((response) => (response ? response.text() : ''))
+    .then((endpoint) => {
+      providerEndpoint = endpoint || null;
+      return providerEndpoint;
+    });
+}
 
 // Background sync for offline data sync
 self.addEventListener('sync', (event) => {